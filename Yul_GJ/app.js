@@ -1,12 +1,26 @@
 /* ==========================================================================
-   신라 타임머신 경주여행 - 애플리케이션 로직 (app.js)
+   율이의 타임머신 여행 - 애플리케이션 로직 (app.js)
    ========================================================================== */
 
 document.addEventListener('DOMContentLoaded', () => {
     // 1. 상태 변수 및 요소 선택
+    // 진행 기록/인증샷/여행팩은 고른 여행(trips.json)마다 따로 저장된다 (trips.js)
+    let trips = [];
+    let currentTrip = null;
+    let tripKeys = null;          // getTripKeys(currentTrip)
+    let missionsUrl = '';
     let missionsData = [];
-    let completedMissions = JSON.parse(localStorage.getItem('yul_gj_completed_missions')) || [];
+    let completedMissions = [];
     let activeCategory = '전체';
+    let uncachedMissionIds = []; // 여행팩을 받았는데 사진이 오프라인에 없는 미션
+    let photoObjectUrls = [];    // 화면에 띄운 인증샷 Blob URL (다시 그릴 때 해제)
+    let photoStore = null;
+    let stopGeofenceWatch = null; // 발견 미션 위치 추적 중지 함수
+    // 미션 GP는 공용 포인트 장부(code.gs)에도 게코 포인트로 적립된다 (points.js)
+    const syncQueue = new SyncQueue();
+    const ledger = new PointsLedger(syncQueue);
+    const GEOFENCE_OVERRIDE_KEY = 'yul_gj_geofence_override';
+    const NO_IMAGE_URL = 'no_image.svg'; // image_url이 없거나 사진을 못 불러올 때
 
     // UI 요소
     const lockedGrid = document.getElementById('lockedGrid');
@@ -19,6 +33,27 @@ document.addEventListener('DOMContentLoaded', () => {
     const agentStatus = document.getElementById('agentStatus');
     const categoryTabs = document.getElementById('categoryTabs');
     const appContainer = document.querySelector('.app-container');
+    const missionSections = document.querySelectorAll('.mission-section');
+    const ledgerBalance = document.getElementById('ledgerBalance');
+
+    // 여행 선택 요소
+    const tripTitle = document.getElementById('tripTitle');
+    const tripSwitchBtn = document.getElementById('tripSwitchBtn');
+    const tripModal = document.getElementById('tripModal');
+    const closeTripModalBtn = document.getElementById('closeTripModalBtn');
+    const tripList = document.getElementById('tripList');
+
+    // 지도 요소
+    const mapSection = document.getElementById('mapSection');
+    const tripMap = document.getElementById('tripMap');
+    const tripMapImage = document.getElementById('tripMapImage');
+    const mapCount = document.getElementById('mapCount');
+
+    // 앨범 요소
+    const albumSection = document.getElementById('albumSection');
+    const albumGrid = document.getElementById('albumGrid');
+    const albumCount = document.getElementById('albumCount');
+    const albumExportBtn = document.getElementById('albumExportBtn');
 
     // 모달 요소
     const missionModal = document.getElementById('missionModal');
@@ -39,13 +74,18 @@ document.addEventListener('DOMContentLoaded', () => {
     const closeSettingsModalBtn = document.getElementById('closeSettingsModalBtn');
     const resetAppBtn = document.getElementById('resetAppBtn');
     const completeAllBtn = document.getElementById('completeAllBtn');
+    const geofenceOverrideBtn = document.getElementById('geofenceOverrideBtn');
+    const tripPackBtn = document.getElementById('tripPackBtn');
+    const tripPackStatus = document.getElementById('tripPackStatus');
+    const tripPackSize = document.getElementById('tripPackSize');
+    const tripPackProgressBar = document.getElementById('tripPackProgressBar');
 
     // 연출 요소
     const stampOverlayEffect = document.getElementById('stampOverlayEffect');
     const soundStamp = document.getElementById('soundStamp');
     const soundSuccess = document.getElementById('soundSuccess');
 
-    // 2. Fallback 미션 데이터 (CORS나 파일 로드 실패 대비)
+    // 2. Fallback 미션 데이터 (CORS나 파일 로드 실패 대비, 기본 여행인 경주 미션)
     const fallbackMissions = [
             {
                     "category": "국립경주박물관",
@@ -56,6 +96,10 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "type": "quiz",
                                     "description": "신라 시대에 돌아가신 아버지 성덕대왕을 위해 정성껏 만든 아주 크고 아름다운 종이에요. 몸에는 날아갈 듯 예쁜 비천상이 새겨져 있고 맑고 여운이 긴 소리가 나요. 이 종의 이름은 무엇일까요? (힌트: ㅅㄷㄷㅇㅅㅈ)",
                                     "answer": "성덕대왕신종",
+                                    "answers": [
+                                            "에밀레종",
+                                            "봉덕사종"
+                                    ],
                                     "point": 100,
                                     "image_url": "성덕대왕신종.jpg",
                                     "heritage_type": "국보",
@@ -155,6 +199,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "type": "quiz",
                                     "description": "금관이나 귀걸이 밑에 대롱대롱 매달아 화려하게 늘어뜨리는 장식이에요. 맨 아래에는 반달이나 애벌레처럼 구부러진 모양의 '이것'을 매달았어요. 신라 보석에 꼭 들어가는 굽은 모양의 보석 이름은 무엇일까요? (힌트: ㄱㅇㅇ)",
                                     "answer": "곱은옥",
+                                    "answers": [
+                                            "굽은옥"
+                                    ],
                                     "point": 100,
                                     "image_url": "드리개.jpg",
                                     "heritage_type": "보물",
@@ -188,6 +235,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "type": "quiz",
                                     "description": "이것은 황금과 붉은 보석으로 아주 화려하게 꾸민 칼이에요. 뾰족하고 날카로워 무언가를 자르거나 스스로를 지키기 위해 쓰는 도구는 무엇일까요? (힌트: ㅋ)",
                                     "answer": "칼",
+                                    "answers": [
+                                            "검"
+                                    ],
                                     "point": 100,
                                     "image_url": "장식보검.jpg",
                                     "heritage_type": "보물",
@@ -221,6 +271,10 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "type": "quiz",
                                     "description": "모래를 뜨거운 열로 녹여 만든 투명하고 반짝이는 물건이에요. 멀리 유라시아 대륙에서 수입한 아주 귀한 그릇으로, 물이나 주스를 따라 마실 때 써요. 이것은 무엇일까요? (힌트: ㅇㄹㅈ)",
                                     "answer": "유리잔",
+                                    "answers": [
+                                            "유리제 잔",
+                                            "유리컵"
+                                    ],
                                     "point": 100,
                                     "image_url": "유리제 잔.jpg",
                                     "heritage_type": "보물",
@@ -276,6 +330,10 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "type": "quiz",
                                     "description": "신라의 젊은 화랑들이 나라에 충성하고 열심히 공부하겠다고 약속을 새겨놓은 돌이에요. 단단한 '이것'에 글자를 새겨 남겼는데, 길가나 산에서 흔히 볼 수 있는 단단하고 무거운 이 물건은 무엇일까요? (힌트: ㄷ)",
                                     "answer": "돌",
+                                    "answers": [
+                                            "돌멩이",
+                                            "바위"
+                                    ],
                                     "point": 100,
                                     "image_url": "임신서기석.jpg",
                                     "heritage_type": "보물",
@@ -298,6 +356,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "type": "quiz",
                                     "description": "아주 옛날 청동기시대에 사용하던 무기예요. 보통 칼보다 아주 길쭉하고, 단단한 금속인 '청동'으로 만들었어요. 물건을 자르거나 스스로를 지킬 때 쓰는 이 도구는 무엇일까요? (힌트: ㅊㄷㅋ)",
                                     "answer": "청동칼",
+                                    "answers": [
+                                            "청동검"
+                                    ],
                                     "point": 100,
                                     "image_url": "청동칼.jpg",
                                     "heritage_type": "보물",
@@ -357,12 +418,77 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "image_url": "유리제 굽받침잔.jpg",
                                     "heritage_type": "보물",
                                     "description_detail": "황갈색의 투명한 유리잔이다. 잔은 반원형(半球形)으로 아가리가 수직에 가깝게 바깥으로 벌어져 있으며, 아가리 끝부분은 둥글게 만들어졌다. 잔 전체에 물결무늬가 들어가 있으며 아래부분에 나팔모양으로 벌어지는 받침을 붙였다. 굽받침 역시 끝부분은 둥글게 만들어졌다. 안쪽 면에 구울때 생긴 기포(氣泡)와 이물질(異物質)이 많이 남아있다."
+                            },
+                            {
+                                    "id": "m1_29",
+                                    "title": "종의 다른 이름 맞히기",
+                                    "type": "choice",
+                                    "description": "성덕대왕신종은 종을 칠 때 나는 소리 때문에 다른 이름으로도 불려요. 성덕대왕신종의 또 다른 이름은 무엇일까요?",
+                                    "choices": [
+                                            "에밀레종",
+                                            "보신각종",
+                                            "상원사 동종",
+                                            "자유의 종"
+                                    ],
+                                    "answer": "에밀레종",
+                                    "point": 100,
+                                    "image_url": "성덕대왕신종.jpg",
+                                    "heritage_type": "국보",
+                                    "description_detail": "성덕대왕신종을 치면 '에밀레~' 하고 우는 듯한 소리가 난다고 해서 에밀레종이라는 별명이 생겼어요. 처음에 봉덕사에 걸려 있었기 때문에 봉덕사종이라고도 불러요."
+                            },
+                            {
+                                    "id": "m1_30",
+                                    "title": "신라 왕 줄 세우기",
+                                    "type": "order",
+                                    "description": "신라를 다스린 왕들을 먼저 왕이 된 순서대로 위에서 아래로 줄 세워 보세요! (☰를 끌어서 옮겨요)",
+                                    "items": [
+                                            "박혁거세",
+                                            "법흥왕",
+                                            "진흥왕",
+                                            "선덕여왕",
+                                            "문무왕"
+                                    ],
+                                    "answer": "박혁거세 → 법흥왕 → 진흥왕 → 선덕여왕 → 문무왕",
+                                    "point": 150,
+                                    "image_url": "금관.jpg",
+                                    "heritage_type": "국보",
+                                    "description_detail": "박혁거세는 신라를 세운 첫 번째 왕이에요. 법흥왕(23대)은 불교를 받아들였고, 진흥왕(24대)은 나라 땅을 크게 넓혔어요. 선덕여왕(27대)은 우리나라 첫 여왕으로 첨성대를 세웠고, 문무왕(30대)은 삼국 통일을 이루었답니다."
+                            },
+                            {
+                                    "id": "m1_31",
+                                    "title": "신라의 미소를 찾아라",
+                                    "type": "image_pick",
+                                    "description": "천진난만하게 웃고 있는 '얼굴무늬 수막새'는 어느 사진일까요? 사진을 눌러 골라 보세요!",
+                                    "choices": [
+                                            "얼굴무늬 수막새.jpg",
+                                            "드리개.jpg",
+                                            "유리제 잔.jpg",
+                                            "금관.jpg"
+                                    ],
+                                    "answer": "얼굴무늬 수막새.jpg",
+                                    "point": 100,
+                                    "image_url": "목걸이.jpg",
+                                    "heritage_type": "보물",
+                                    "description_detail": "수막새는 기와지붕 끝을 막는 둥근 기와예요. 얼굴무늬 수막새는 웃는 얼굴이 새겨져 있어서 '신라의 미소'라고 불려요."
                             }
                     ]
             },
             {
                     "category": "첨성대",
                     "missions": [
+                            {
+                                    "id": "m2_1",
+                                    "title": "첨성대 앞에 도착!",
+                                    "type": "discovery",
+                                    "description": "1400년 가까이 그 자리에 서 있는 별 관측대, 첨성대를 찾아가세요! 첨성대 가까이 도착하면 발견 버튼이 열려요.",
+                                    "point": 100,
+                                    "image_url": "첨성대.jpg",
+                                    "heritage_type": "국보",
+                                    "description_detail": "첨성대는 경주 인왕동 넓은 들판에 서 있어요. 가까이 가서 돌이 몇 단으로 쌓여 있는지 세어 보고, 가운데 뚫린 네모난 창도 찾아보세요. 옛날 천문학자들은 이 창으로 들어가 사다리를 타고 꼭대기에 올라가 별을 관찰했다고 해요.",
+                                    "lat": 35.834722,
+                                    "lng": 129.219017,
+                                    "radius": 120
+                            },
                             {
                                     "id": "m2_3",
                                     "title": "별을 관측하던 첨성대",
@@ -372,13 +498,41 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "point": 100,
                                     "image_url": "첨성대.jpg",
                                     "heritage_type": "국보",
-                                    "description_detail": "천체의 움직임을 관찰하던 신라시대의 천문관측대로, 받침대 역할을 하는 기단부(基壇部)위에 술병 모양의 원통부(圓筒部)를 올리고 맨 위에 정(井)자형의 정상부(頂上部)를 얹은 모습으로 높이는 약9m이다.\r\n원통부는 부채꼴 모양의 돌로 27단을 쌓아 올렸으며, 매끄럽게 잘 다듬어진 외부에 비해 내부는 돌의 뒷뿌리가 삐죽삐죽 나와 벽면이 고르지 않다. 남동쪽으로 난 창을 중심으로 아래쪽은 막돌로 채워져 있고 위쪽은 정상까지 뚫려서 속이 비어 있다. 동쪽 절반이 판돌로 막혀있는 정상부는 정(井)자 모양으로 맞물린 길다란 석재의 끝이 바깥까지 뚫고 나와있다. 이런 모습은 19∼20단, 25∼26단에서도 발견되는데 내부에서 사다리를 걸치기에 적당했던 것으로 보인다. 옛 기록에 의하면, “사람이 가운데로 해서 올라가게 되어있다”라고 하였는데, 바깥쪽에 사다리를 놓고 창을 통해 안으로 들어간 후 사다리를 이용해 꼭대기까지 올라가 하늘을 관찰했던 것으로 보인다.\r\n천문학은 하늘의 움직임에 따라 농사 시기를 결정할 수 있다는 점에서 농업과 깊은 관계가 있으며, 관측 결과에 따라 국가의 길흉을 점치던 점성술(占星術)이 고대국가에서 중요시되었던 점으로 미루어 보면 정치와도 관련이 깊음을 알 수 있다. 따라서 일찍부터 국가의 큰 관심사가 되었으며, 이는 첨성대 건립의 좋은 배경이 되었을 것으로 여겨진다.\r\n신라 선덕여왕(재위 632∼647) 때 건립된 것으로 추측되며 동양에서 가장 오래된 천문대로 그 가치가 높으며, 당시의 높은 과학 수준을 보여주는 귀중한 문화유산이라 할 수 있다."
+                                    "description_detail": "천체의 움직임을 관찰하던 신라시대의 천문관측대로, 받침대 역할을 하는 기단부(基壇部)위에 술병 모양의 원통부(圓筒部)를 올리고 맨 위에 정(井)자형의 정상부(頂上部)를 얹은 모습으로 높이는 약9m이다.\r\n원통부는 부채꼴 모양의 돌로 27단을 쌓아 올렸으며, 매끄럽게 잘 다듬어진 외부에 비해 내부는 돌의 뒷뿌리가 삐죽삐죽 나와 벽면이 고르지 않다. 남동쪽으로 난 창을 중심으로 아래쪽은 막돌로 채워져 있고 위쪽은 정상까지 뚫려서 속이 비어 있다. 동쪽 절반이 판돌로 막혀있는 정상부는 정(井)자 모양으로 맞물린 길다란 석재의 끝이 바깥까지 뚫고 나와있다. 이런 모습은 19∼20단, 25∼26단에서도 발견되는데 내부에서 사다리를 걸치기에 적당했던 것으로 보인다. 옛 기록에 의하면, “사람이 가운데로 해서 올라가게 되어있다”라고 하였는데, 바깥쪽에 사다리를 놓고 창을 통해 안으로 들어간 후 사다리를 이용해 꼭대기까지 올라가 하늘을 관찰했던 것으로 보인다.\r\n천문학은 하늘의 움직임에 따라 농사 시기를 결정할 수 있다는 점에서 농업과 깊은 관계가 있으며, 관측 결과에 따라 국가의 길흉을 점치던 점성술(占星術)이 고대국가에서 중요시되었던 점으로 미루어 보면 정치와도 관련이 깊음을 알 수 있다. 따라서 일찍부터 국가의 큰 관심사가 되었으며, 이는 첨성대 건립의 좋은 배경이 되었을 것으로 여겨진다.\r\n신라 선덕여왕(재위 632∼647) 때 건립된 것으로 추측되며 동양에서 가장 오래된 천문대로 그 가치가 높으며, 당시의 높은 과학 수준을 보여주는 귀중한 문화유산이라 할 수 있다.",
+                                    "lat": 35.834722,
+                                    "lng": 129.219017
+                            },
+                            {
+                                    "id": "m2_4",
+                                    "title": "첨성대 OX 퀴즈",
+                                    "type": "truefalse",
+                                    "description": "첨성대는 신라 선덕여왕 때 별을 관측하기 위해 만들어졌어요. 맞으면 O, 틀리면 X를 눌러 보세요!",
+                                    "answer": true,
+                                    "point": 100,
+                                    "image_url": "첨성대.jpg",
+                                    "heritage_type": "국보",
+                                    "description_detail": "정답은 O! 첨성대는 선덕여왕(재위 632∼647) 때 세워진 것으로 알려진, 동양에서 가장 오래된 천문대예요.",
+                                    "lat": 35.834722,
+                                    "lng": 129.219017
                             }
                     ]
             },
             {
                     "category": "동궁과 월지",
                     "missions": [
+                            {
+                                    "id": "m3_1",
+                                    "title": "달빛이 비치는 연못, 월지 발견!",
+                                    "type": "discovery",
+                                    "description": "신라 왕자님이 살던 궁궐 동궁과 아름다운 연못 월지를 찾아가세요! 연못 가까이 도착하면 발견 버튼이 열려요.",
+                                    "point": 100,
+                                    "image_url": "동궁과 월지.jpg",
+                                    "heritage_type": "사적",
+                                    "description_detail": "월지는 '달이 비치는 연못'이라는 뜻이에요. 밤이 되면 불빛이 연못에 비쳐 건물이 두 채씩 보이는 것처럼 반짝여요. 연못 가장자리가 구불구불해서 어디에 서서 봐도 연못 끝이 한눈에 보이지 않도록 만들어서, 작은 연못이 바다처럼 넓어 보인답니다.",
+                                    "lat": 35.834878,
+                                    "lng": 129.226562,
+                                    "radius": 200
+                            },
                             {
                                     "id": "m3_3",
                                     "title": "손님을 맞이하던 동궁과 월지",
@@ -388,7 +542,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "point": 100,
                                     "image_url": "동궁과 월지.jpg",
                                     "heritage_type": "사적",
-                                    "description_detail": "안압지 서쪽에 위치한 신라 왕궁의 별궁터이다. 다른 부속건물들과 함께 왕자가 거처하는 동궁으로 사용되면서 나라의 경사가 있을 때나 귀한 손님을 맞을 때 이곳에서 연회를 베풀었다고 한다. 신라 경순왕이 견훤의 침입을 받은 뒤, 931년에 왕건을 초청하여 위급한 상황을 호소하며 잔치를 베풀었던 곳이기도 하다.\r\n신라는 삼국을 통일한 후 문무왕 14년(674)에 큰 연못을 파고 못 가운데에 3개의 섬과 못의 북·동쪽으로 12봉우리의 산을 만들었으며, 여기에 아름다운 꽃과 나무를 심고 진귀한 새와 짐승을 길렀다고 전해진다.『삼국사기』에는 임해전에 대한 기록만 나오고 안압지에 대해서는 아무런 언급이 없는데, 조선시대 『동국여지승람』에서 “안압지의 서에는 임해전이 있다”라고 기록되어 있어, 현재의 자리를 안압지로 추정하고 있다.\r\n일제강점기에 철도가 지나가는 등 많은 훼손을 입었던 임해전 터의 못 주변에는 회랑지를 비롯해서 크고 작은 건물터 26곳이 확인되었다. 그 중 1980년에 임해전으로 추정되는 곳을 포함하여 서쪽 못가의 신라 건물터로 보이는 5개 건물터 중 3곳과 안압지를 복원하여 오늘에 이르고 있다.\r\n이곳에서는 많은 유물들이 출토되었는데, 그 중 보상화무늬가 새겨진 벽돌에는 ‘조로 2년(調露 二年, 680)’이라는 글자가 새겨져 있어 임해전이 문무왕 때 만들어진 것임을 뒷받침해주고 있다. 대접이나 접시도 많이 나왔는데, 이것은 신라무덤에서 출토되는 것과는 달리 실제 생활에 사용되었던 것으로 보인다.\r\n임해전은 별궁에 속해 있던 건물이지만 그 비중이 매우 컸던 것으로 보이며 안압지는 신라 원지(苑池)를 대표하는 유적이다."
+                                    "description_detail": "안압지 서쪽에 위치한 신라 왕궁의 별궁터이다. 다른 부속건물들과 함께 왕자가 거처하는 동궁으로 사용되면서 나라의 경사가 있을 때나 귀한 손님을 맞을 때 이곳에서 연회를 베풀었다고 한다. 신라 경순왕이 견훤의 침입을 받은 뒤, 931년에 왕건을 초청하여 위급한 상황을 호소하며 잔치를 베풀었던 곳이기도 하다.\r\n신라는 삼국을 통일한 후 문무왕 14년(674)에 큰 연못을 파고 못 가운데에 3개의 섬과 못의 북·동쪽으로 12봉우리의 산을 만들었으며, 여기에 아름다운 꽃과 나무를 심고 진귀한 새와 짐승을 길렀다고 전해진다.『삼국사기』에는 임해전에 대한 기록만 나오고 안압지에 대해서는 아무런 언급이 없는데, 조선시대 『동국여지승람』에서 “안압지의 서에는 임해전이 있다”라고 기록되어 있어, 현재의 자리를 안압지로 추정하고 있다.\r\n일제강점기에 철도가 지나가는 등 많은 훼손을 입었던 임해전 터의 못 주변에는 회랑지를 비롯해서 크고 작은 건물터 26곳이 확인되었다. 그 중 1980년에 임해전으로 추정되는 곳을 포함하여 서쪽 못가의 신라 건물터로 보이는 5개 건물터 중 3곳과 안압지를 복원하여 오늘에 이르고 있다.\r\n이곳에서는 많은 유물들이 출토되었는데, 그 중 보상화무늬가 새겨진 벽돌에는 ‘조로 2년(調露 二年, 680)’이라는 글자가 새겨져 있어 임해전이 문무왕 때 만들어진 것임을 뒷받침해주고 있다. 대접이나 접시도 많이 나왔는데, 이것은 신라무덤에서 출토되는 것과는 달리 실제 생활에 사용되었던 것으로 보인다.\r\n임해전은 별궁에 속해 있던 건물이지만 그 비중이 매우 컸던 것으로 보이며 안압지는 신라 원지(苑池)를 대표하는 유적이다.",
+                                    "lat": 35.834878,
+                                    "lng": 129.226562
                             }
                     ]
             },
@@ -404,7 +560,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "point": 100,
                                     "image_url": "보문호.jpg",
                                     "heritage_type": "",
-                                    "description_detail": "경주 보문호는 1950년대 농업용 저수지로 시작해 보문관광단지 조성과 함께 종합 휴양지로 개발되었습니다. '보문(普門)'이라는 명칭과 호수 유래에 대한 핵심 내용은 다음과 같습니다.이름의 유래: 불교 교리에서 보살이 일체 성덕을 모두 갖추고 중생을 구제하기 위해 여는 '모든 진리의 문' 또는 '우주 만물은 제각기 본받을 법을 품고 있다'는 깊은 뜻을 담고 있습니다.호수의 역사: 신라 시대 서라벌을 방어하던 명활산성 아래에 자리 잡고 있으며, 1950년대 농업용 저수지로 축조된 이후 1970년대 본격적인 종합 관광 단지 개발 계획에 따라 현재의 대규모 인공호수로 탈바꿈했습니다.호수 주변으로는 약 8km에 달하는 산책로, 벚나무길, 그리고 다양한 문화 휴양 시설들이 잘 조성되어 있습니다."
+                                    "description_detail": "경주 보문호는 1950년대 농업용 저수지로 시작해 보문관광단지 조성과 함께 종합 휴양지로 개발되었습니다. '보문(普門)'이라는 명칭과 호수 유래에 대한 핵심 내용은 다음과 같습니다.이름의 유래: 불교 교리에서 보살이 일체 성덕을 모두 갖추고 중생을 구제하기 위해 여는 '모든 진리의 문' 또는 '우주 만물은 제각기 본받을 법을 품고 있다'는 깊은 뜻을 담고 있습니다.호수의 역사: 신라 시대 서라벌을 방어하던 명활산성 아래에 자리 잡고 있으며, 1950년대 농업용 저수지로 축조된 이후 1970년대 본격적인 종합 관광 단지 개발 계획에 따라 현재의 대규모 인공호수로 탈바꿈했습니다.호수 주변으로는 약 8km에 달하는 산책로, 벚나무길, 그리고 다양한 문화 휴양 시설들이 잘 조성되어 있습니다.",
+                                    "lat": 35.8455,
+                                    "lng": 129.287
                             },
                             {
                                     "id": "m4_4",
@@ -415,7 +573,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "point": 100,
                                     "image_url": "울부짖는 형상들.webp",
                                     "heritage_type": "미술품",
-                                    "description_detail": "앙투안 부르델(Antoine Bourdelle)의 '울부짖는' 작품은 <전쟁 혹은 울부짖는 세 두상(La guerre, trois têtes hurlantes)> 또는 <울부짖는 인물들(Howling Figures)>으로 불리는 청동 조각을 의미합니다.이 작품은 1895~1899년에 제작되었으며, 고통과 공포, 죽음을 묘사한 표현주의적 성격이 강한 조각입니다.작품 배경:몽토방(Montauban)의 1870년 전쟁 기념비 프로젝트를 위해 고안된 작품으로, 전쟁의 참혹함과 그로 인해 발생하는 비명, 공포, 죽음을 3개의 얼굴로 강렬하게 표현했습니다."
+                                    "description_detail": "앙투안 부르델(Antoine Bourdelle)의 '울부짖는' 작품은 <전쟁 혹은 울부짖는 세 두상(La guerre, trois têtes hurlantes)> 또는 <울부짖는 인물들(Howling Figures)>으로 불리는 청동 조각을 의미합니다.이 작품은 1895~1899년에 제작되었으며, 고통과 공포, 죽음을 묘사한 표현주의적 성격이 강한 조각입니다.작품 배경:몽토방(Montauban)의 1870년 전쟁 기념비 프로젝트를 위해 고안된 작품으로, 전쟁의 참혹함과 그로 인해 발생하는 비명, 공포, 죽음을 3개의 얼굴로 강렬하게 표현했습니다.",
+                                    "lat": 35.8416,
+                                    "lng": 129.2855
                             },
                             {
                                     "id": "m4_5",
@@ -426,7 +586,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "point": 100,
                                     "image_url": "풍요.webp",
                                     "heritage_type": "미술품",
-                                    "description_detail": "김수현 작가, 1. 조각가 할아버지는 어떤 분일까? (작가의 특징)\r\n김수현 조각가님은 \"사람이나 사물의 모습을 아주 매끄럽고 동글동글하게\" 만드는 것을 좋아하는 마법사 같은 분이야.\r\n\r\n보통 조각이라고 하면 딱딱하고 뾰족할 것 같지? 하지만 이 작가님은 거친 돌이나 쇠를 바닷가에 있는 조약돌처럼 부드럽고 매끈하게 다듬어서, 보는 사람의 마음을 편안하게 만들어주는 특별한 능력이 있으셔.\r\n\r\n2. <풍요>는 어떤 작품일까? (작품의 특징)\r\n이 작품의 이름인 '풍요'는 가을에 맛있는 과일과 쌀이 잔뜩 열린 것처럼 \"아주 많고 넉넉해서 배부르고 마음이 따뜻해지는 상태\"를 말해.\r\n\r\n사진 속 조각을 보면 각진 곳 없이 아주 부드러운 곡선으로 이루어져 있지? 작가님은 날카롭고 뾰족한 모양 대신, 둥글둥글하고 통통한 모양을 통해서 우리가 가족들과 맛있는 것을 먹을 때 느끼는 '행복하고 넉넉한 마음'을 멋진 조각으로 표현한 거야.\r\n\r\n3. 어떻게 감상하면 좋을까? (관람 포인트 👀)\r\n작품 앞에 섰을 때 이렇게 세 가지를 생각하며 보면 훨씬 재미있게 감상할 수 있어!\r\n\r\n첫 번째, 매끄러운 곡선 따라가 보기!\r\n눈으로 조각의 테두리를 스르륵~ 따라가 보며 얼마나 매끈매끈할지 상상해 봐. 딱딱한 재료가 어떻게 찰흙처럼 부드러워졌을까 생각해보면 정말 신기해.\r\n\r\n두 번째, 숨은 그림 찾기!\r\n이 조각은 어떤 모양처럼 보여? 웅크리고 앉아서 편안하게 쉬고 있는 사람 같기도 하고, 통통한 새 같기도 하고, 커다란 열매의 씨앗 같기도 하지? 예술에는 정답이 없어! 네가 상상하는 모양이 바로 정답이야.\r\n\r\n세 번째, 받침대와 조각의 짝꿍 놀이!\r\n맨 위에는 까맣고 아주 매끄러운 조각이 올려져 있고, 아래에는 밝은 색의 오돌토돌한 돌기둥(받침대)이 있지? 어두운 것과 밝은 것, 부드러운 것과 거친 것이 어떻게 서로 멋진 짝꿍을 이루고 있는지 비교해 봐!"
+                                    "description_detail": "김수현 작가, 1. 조각가 할아버지는 어떤 분일까? (작가의 특징)\r\n김수현 조각가님은 \"사람이나 사물의 모습을 아주 매끄럽고 동글동글하게\" 만드는 것을 좋아하는 마법사 같은 분이야.\r\n\r\n보통 조각이라고 하면 딱딱하고 뾰족할 것 같지? 하지만 이 작가님은 거친 돌이나 쇠를 바닷가에 있는 조약돌처럼 부드럽고 매끈하게 다듬어서, 보는 사람의 마음을 편안하게 만들어주는 특별한 능력이 있으셔.\r\n\r\n2. <풍요>는 어떤 작품일까? (작품의 특징)\r\n이 작품의 이름인 '풍요'는 가을에 맛있는 과일과 쌀이 잔뜩 열린 것처럼 \"아주 많고 넉넉해서 배부르고 마음이 따뜻해지는 상태\"를 말해.\r\n\r\n사진 속 조각을 보면 각진 곳 없이 아주 부드러운 곡선으로 이루어져 있지? 작가님은 날카롭고 뾰족한 모양 대신, 둥글둥글하고 통통한 모양을 통해서 우리가 가족들과 맛있는 것을 먹을 때 느끼는 '행복하고 넉넉한 마음'을 멋진 조각으로 표현한 거야.\r\n\r\n3. 어떻게 감상하면 좋을까? (관람 포인트 👀)\r\n작품 앞에 섰을 때 이렇게 세 가지를 생각하며 보면 훨씬 재미있게 감상할 수 있어!\r\n\r\n첫 번째, 매끄러운 곡선 따라가 보기!\r\n눈으로 조각의 테두리를 스르륵~ 따라가 보며 얼마나 매끈매끈할지 상상해 봐. 딱딱한 재료가 어떻게 찰흙처럼 부드러워졌을까 생각해보면 정말 신기해.\r\n\r\n두 번째, 숨은 그림 찾기!\r\n이 조각은 어떤 모양처럼 보여? 웅크리고 앉아서 편안하게 쉬고 있는 사람 같기도 하고, 통통한 새 같기도 하고, 커다란 열매의 씨앗 같기도 하지? 예술에는 정답이 없어! 네가 상상하는 모양이 바로 정답이야.\r\n\r\n세 번째, 받침대와 조각의 짝꿍 놀이!\r\n맨 위에는 까맣고 아주 매끄러운 조각이 올려져 있고, 아래에는 밝은 색의 오돌토돌한 돌기둥(받침대)이 있지? 어두운 것과 밝은 것, 부드러운 것과 거친 것이 어떻게 서로 멋진 짝꿍을 이루고 있는지 비교해 봐!",
+                                    "lat": 35.8416,
+                                    "lng": 129.2855
                             },
                             {
                                     "id": "m4_6",
@@ -437,7 +599,9 @@ document.addEventListener('DOMContentLoaded', () => {
                                     "point": 100,
                                     "image_url": "Untitled 1990.webp",
                                     "heritage_type": "미술품",
-                                    "description_detail": "1. 조각가 할아버지는 어떤 분일까? (작가의 특징)\r\n클로드 비알라 할아버지는 \"미술의 규칙을 팡팡 깨뜨리는 장난꾸러기 탐험가\" 같은 분이야.\r\n\r\n보통 화가들은 아주 깨끗하고 네모난 하얀 천(캔버스) 위에 그림을 그리지? 그런데 이 할아버지는 \"꼭 거기에만 그려야 해? 나는 다 쓴 텐트나 버려진 우산, 예쁜 무늬가 있는 천에도 그릴 거야!\"라고 생각했대. 그리고 감자 도장을 찍는 것처럼 자신만이 좋아하는 특별한 모양(마치 강낭콩이나 스펀지 같은 모양)을 쾅쾅 반복해서 그리는 것을 아주 좋아하셨어.\r\n\r\n2. <Untitled 1990>은 어떤 작품일까? (작품의 특징)\r\n이 작품의 이름인 'Untitled(언타이틀드)'는 우리말로 '제목이 없음(무제)'이라는 뜻이야. 뒤에 있는 1990은 1990년도에 그렸다는 뜻이고요.\r\n\r\n왜 멋진 그림을 그려놓고 이름을 지어주지 않았을까? 만약 그림 이름이 '파란 사과'라면 우리는 그림을 볼 때 사과만 찾게 될 거야. 하지만 작가님은 우리가 제목에 얽매이지 않고 그림의 색깔과 모양 그 자체를 자유롭게 느끼기를 바랐어. \"제목, 사인, 그린 날짜 이런 건 중요하지 않아! 그림 자체가 주인공이야!\"라고 말하면서 말이야."
+                                    "description_detail": "1. 조각가 할아버지는 어떤 분일까? (작가의 특징)\r\n클로드 비알라 할아버지는 \"미술의 규칙을 팡팡 깨뜨리는 장난꾸러기 탐험가\" 같은 분이야.\r\n\r\n보통 화가들은 아주 깨끗하고 네모난 하얀 천(캔버스) 위에 그림을 그리지? 그런데 이 할아버지는 \"꼭 거기에만 그려야 해? 나는 다 쓴 텐트나 버려진 우산, 예쁜 무늬가 있는 천에도 그릴 거야!\"라고 생각했대. 그리고 감자 도장을 찍는 것처럼 자신만이 좋아하는 특별한 모양(마치 강낭콩이나 스펀지 같은 모양)을 쾅쾅 반복해서 그리는 것을 아주 좋아하셨어.\r\n\r\n2. <Untitled 1990>은 어떤 작품일까? (작품의 특징)\r\n이 작품의 이름인 'Untitled(언타이틀드)'는 우리말로 '제목이 없음(무제)'이라는 뜻이야. 뒤에 있는 1990은 1990년도에 그렸다는 뜻이고요.\r\n\r\n왜 멋진 그림을 그려놓고 이름을 지어주지 않았을까? 만약 그림 이름이 '파란 사과'라면 우리는 그림을 볼 때 사과만 찾게 될 거야. 하지만 작가님은 우리가 제목에 얽매이지 않고 그림의 색깔과 모양 그 자체를 자유롭게 느끼기를 바랐어. \"제목, 사인, 그린 날짜 이런 건 중요하지 않아! 그림 자체가 주인공이야!\"라고 말하면서 말이야.",
+                                    "lat": 35.8416,
+                                    "lng": 129.2855
                             }
                     ]
             }
@@ -445,13 +609,32 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // 3. 미션 데이터 초기 로드
     async function loadMissions() {
+        trips = await loadTrips();
+        currentTrip = findCurrentTrip(trips);
+        tripKeys = getTripKeys(currentTrip);
+        missionsUrl = getTripMissionsUrl(currentTrip);
+        completedMissions = loadCompletedMissions(currentTrip);
+        photoStore = new PhotoStore(tripKeys.photos);
+        applyTripHeader();
+
+        await migrateLegacyPhotos();
         try {
-            const response = await fetch('missions.json?v=1.6');
+            const response = await fetch(missionsUrl);
             if (!response.ok) throw new Error('네트워크 응답 오류');
             missionsData = await response.json();
         } catch (error) {
-            console.warn('JSON 파일 로드 실패. Fallback 데이터를 활용합니다.', error);
-            missionsData = fallbackMissions;
+            // 서비스워커 없이 오프라인일 때도 여행팩에 받아둔 미션 목록을 먼저 사용
+            const cached = await loadTripPackMissions();
+            if (cached) {
+                missionsData = cached;
+            } else if (currentTrip.id === DEFAULT_TRIPS[0].id) {
+                console.warn('JSON 파일 로드 실패. Fallback 데이터를 활용합니다.', error);
+                missionsData = fallbackMissions;
+            } else {
+                console.warn('미션 파일 로드 실패:', currentTrip.missions_url, error);
+                alert('📵 이 여행의 미션을 불러오지 못했어요. 인터넷 연결을 확인해 주세요.');
+                missionsData = [];
+            }
         }
         initApp();
     }
@@ -462,6 +645,18 @@ document.addEventListener('DOMContentLoaded', () => {
         updateDashboard();
         renderGrids();
         createStarsBackground();
+        refreshTripPackStatus();
+        ledger.showBalance(ledgerBalance);
+        syncQueue.flush();
+        backfillMissionPoints();
+    }
+
+    // 고른 여행에 맞게 제목과 지도 이미지 표시
+    function applyTripHeader() {
+        tripTitle.textContent = `${currentTrip.emoji} ${currentTrip.title}`;
+        tripSwitchBtn.textContent = `${currentTrip.subtitle} ▾`;
+        document.title = `${currentTrip.emoji} ${currentTrip.title}`;
+        if (currentTrip.map) tripMapImage.src = currentTrip.map.image;
     }
 
     // 카테고리 탭 렌더링
@@ -486,11 +681,28 @@ document.addEventListener('DOMContentLoaded', () => {
             else if (cat.category.includes('첨성대')) emoji = '🔭';
             else if (cat.category.includes('동궁')) emoji = '🌙';
             else if (cat.category.includes('라한')) emoji = '🏨';
+            else if (cat.category.includes('궁')) emoji = '🏯';
 
             tab.textContent = `${emoji} ${cat.category}`;
             tab.addEventListener('click', () => selectCategory(cat.category));
             categoryTabs.appendChild(tab);
         });
+
+        // 탐험 지도 탭 (trips.json에 지도가 있는 여행만)
+        if (currentTrip.map) {
+            const mapTab = document.createElement('button');
+            mapTab.className = `tab-btn ${activeCategory === '지도' ? 'active' : ''}`;
+            mapTab.textContent = '📍 지도';
+            mapTab.addEventListener('click', () => selectCategory('지도'));
+            categoryTabs.appendChild(mapTab);
+        }
+
+        // 인증샷 앨범 탭
+        const albumTab = document.createElement('button');
+        albumTab.className = `tab-btn ${activeCategory === '앨범' ? 'active' : ''}`;
+        albumTab.textContent = '📸 앨범';
+        albumTab.addEventListener('click', () => selectCategory('앨범'));
+        categoryTabs.appendChild(albumTab);
     }
 
     function selectCategory(catName) {
@@ -530,9 +742,9 @@ document.addEventListener('DOMContentLoaded', () => {
         progressText.textContent = `${completedCount} / ${totalMissions} 미션 완료`;
 
         // 등급 및 문구 갱신
-        let status = '신라 타임머신 가동 중...';
+        let status = '타임머신 가동 중...';
         if (completedCount === 0) {
-            status = '⏱️ 신라 역사 탐험을 시작하세요!';
+            status = '⏱️ 역사 탐험을 시작하세요!';
         } else if (completedCount < totalMissions * 0.4) {
             status = '🧭 율이 요원, 임무 수행을 환영합니다!';
         } else if (completedCount < totalMissions * 0.8) {
@@ -541,13 +753,34 @@ document.addEventListener('DOMContentLoaded', () => {
             status = '👑 역사의 진실에 도달하기 직전입니다!';
         } else {
             status = '✨ 도감 완료! 율이 특급 요원 최고! ✨';
-            triggerAllCompleteConfetti();
+            // 처음 다 끝낸 순간에만 여권 도장을 찍고 축하한다
+            if (!loadPassport()[currentTrip.id]) {
+                stampPassport(score, totalMissions);
+                triggerAllCompleteConfetti();
+            }
         }
         agentStatus.textContent = status;
     }
 
     // 6. 보물 도감 카드 그리드 렌더링
     function renderGrids() {
+        // 지도/앨범 탭에서는 도감 대신 지도나 인증샷 앨범을 보여준다
+        const isMap = activeCategory === '지도';
+        const isAlbum = activeCategory === '앨범';
+        missionSections.forEach(section => {
+            section.style.display = isMap || isAlbum ? 'none' : '';
+        });
+        mapSection.style.display = isMap ? 'block' : 'none';
+        albumSection.style.display = isAlbum ? 'block' : 'none';
+        if (isMap) {
+            renderMap();
+            return;
+        }
+        if (isAlbum) {
+            renderAlbum();
+            return;
+        }
+
         lockedGrid.innerHTML = '';
         unlockedGrid.innerHTML = '';
 
@@ -585,6 +818,59 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // 좌표(lat/lng)가 있는 미션을 지도 위 핀으로 표시 (완료: 금색, 남은 미션: 회색)
+    function renderMap() {
+        tripMap.querySelectorAll('.map-pin').forEach(pin => pin.remove());
+        // 지도 이미지(trips.json의 map.image)가 그려진 범위 (SVG 안의 주석과 같아야 함)
+        const bounds = currentTrip.map.bounds;
+
+        // 같은 장소의 미션은 핀이 겹치지 않도록 둥글게 벌려 놓는다
+        const places = {};
+        missionsData.forEach(cat => {
+            cat.missions.forEach(mission => {
+                if (!hasGeofence(mission)) return;
+                const key = `${mission.lat},${mission.lng}`;
+                if (!places[key]) places[key] = [];
+                places[key].push({ mission: mission, category: cat.category });
+            });
+        });
+
+        let pinCount = 0;
+        Object.values(places).forEach(group => {
+            group.forEach((item, index) => {
+                const mission = item.mission;
+                const isCompleted = completedMissions.some(m => m.id === mission.id);
+                const x = (mission.lng - bounds.west) / (bounds.east - bounds.west) * 100;
+                const y = (bounds.north - mission.lat) / (bounds.north - bounds.south) * 100;
+                if (x < 0 || x > 100 || y < 0 || y > 100) return;
+
+                const angle = (index / group.length) * Math.PI * 2;
+                const spread = group.length > 1 ? 16 : 0;
+
+                const pin = document.createElement('button');
+                pin.className = `map-pin ${isCompleted ? 'completed' : 'locked'}`;
+                pin.style.left = `calc(${x}% + ${Math.round(Math.cos(angle) * spread)}px)`;
+                pin.style.top = `calc(${y}% + ${Math.round(Math.sin(angle) * spread)}px)`;
+                pin.textContent = isCompleted ? '✓' : '?';
+                pin.title = mission.title;
+                pin.addEventListener('click', () => openMissionModal(mission, item.category, isCompleted));
+                tripMap.appendChild(pin);
+                pinCount++;
+            });
+        });
+
+        mapCount.textContent = pinCount;
+    }
+
+    // 유물 사진 (없거나 못 불러오면 로컬 기본 그림으로 대체)
+    function setMissionImage(img, imageUrl) {
+        img.onerror = () => {
+            img.onerror = null;
+            img.src = NO_IMAGE_URL;
+        };
+        img.src = imageUrl || NO_IMAGE_URL;
+    }
+
     // 개별 보물 카드 생성
     function createCardElement(mission, category, isCompleted) {
         const card = document.createElement('div');
@@ -601,12 +887,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         const img = document.createElement('img');
         img.className = 'card-image';
-        img.src = imgPath;
+        setMissionImage(img, imgPath);
         img.alt = mission.title;
-        img.onerror = () => {
-            // 이미지 없을 시 대체 썸네일
-            img.src = 'https://images.unsplash.com/photo-1578301978693-85fa9c0320b9?auto=format&fit=crop&w=400&q=80';
-        };
         imgWrapper.appendChild(img);
 
         // 국보/보물 뱃지 생성 (카드의 좌측 상단 모서리)
@@ -645,6 +927,15 @@ document.addEventListener('DOMContentLoaded', () => {
             imgWrapper.appendChild(stampMini);
         }
 
+        // 여행팩에 사진이 없는 미션 (오프라인에서 사진이 안 보일 수 있음)
+        if (uncachedMissionIds.includes(mission.id)) {
+            const offlineFlag = document.createElement('div');
+            offlineFlag.className = 'card-offline-flag';
+            offlineFlag.textContent = '📵';
+            offlineFlag.title = '오프라인 사진 없음';
+            imgWrapper.appendChild(offlineFlag);
+        }
+
         card.appendChild(imgWrapper);
 
         // 카드 텍스트 정보 구역
@@ -669,6 +960,10 @@ document.addEventListener('DOMContentLoaded', () => {
         let typeLabel = '수수께끼';
         if (mission.type === 'action') typeLabel = '📸 인증샷';
         if (mission.type === 'discovery') typeLabel = '🗺️ 발견';
+        if (mission.type === 'choice') typeLabel = '🔢 객관식';
+        if (mission.type === 'order') typeLabel = '🔀 순서';
+        if (mission.type === 'image_pick') typeLabel = '🖼️ 사진 고르기';
+        if (mission.type === 'truefalse') typeLabel = '⭕ OX';
 
         const type = document.createElement('span');
         type.className = 'card-type';
@@ -691,12 +986,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // 7. 미션 상세 팝업 오픈
     function openMissionModal(mission, category, isCompleted) {
+        stopGeofence();
         modalCategory.textContent = category;
         modalTitle.textContent = mission.title;
-        modalImage.src = mission.image_url;
-        modalImage.onerror = () => {
-            modalImage.src = 'https://images.unsplash.com/photo-1578301978693-85fa9c0320b9?auto=format&fit=crop&w=800&q=80';
-        };
+        setMissionImage(modalImage, mission.image_url);
         modalDescription.textContent = mission.description;
 
         // 국보/보물 뱃지 설정 및 설명 토글 제어
@@ -759,12 +1052,18 @@ document.addEventListener('DOMContentLoaded', () => {
             viewDiv.style.padding = '12px 0';
 
             let responseHTML = '';
-            if (mission.type === 'quiz') {
+            if (mission.type === 'image_pick' && completedData.submittedAnswer) {
+                responseHTML = `
+                    <div style="width: 50%; margin: 0 auto 8px; border-radius: 8px; overflow: hidden;">
+                        <img src="${completedData.submittedAnswer}" style="width: 100%; object-fit: cover;">
+                    </div>
+                `;
+            } else if (['quiz', 'choice', 'order', 'truefalse'].includes(mission.type)) {
                 responseHTML = `<p style="font-size: 13px; color: var(--color-text-muted); margin-bottom: 8px;">입력한 정답: <strong style="color: var(--color-gold-light);">${completedData.submittedAnswer || '정답 확인'}</strong></p>`;
-            } else if (mission.type === 'action' && completedData.photo) {
+            } else if (mission.type === 'action' && (completedData.hasPhoto || completedData.photo)) {
                 responseHTML = `
                     <div style="width: 100%; max-height: 180px; overflow: hidden; border-radius: 8px; margin-bottom: 8px;">
-                        <img src="${completedData.photo}" style="width: 100%; object-fit: cover;">
+                        <img class="completed-photo" alt="인증 사진" style="width: 100%; object-fit: cover;">
                     </div>
                 `;
             }
@@ -775,6 +1074,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 <button class="submit-btn" style="background: rgba(255,255,255,0.06); color: var(--color-text-muted); border: 1px solid var(--glass-border); box-shadow: none;" disabled>이 미션은 완전히 복원되었습니다!</button>
             `;
             missionActionArea.appendChild(viewDiv);
+
+            const completedPhoto = viewDiv.querySelector('.completed-photo');
+            if (completedPhoto) {
+                getPhotoSrc(completedData).then(src => {
+                    if (src) completedPhoto.src = src;
+                });
+            }
         } else {
             // 아직 완료하지 않은 보물인 경우
             if (mission.type === 'quiz') {
@@ -783,6 +1089,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 createActionForm(mission);
             } else if (mission.type === 'discovery') {
                 createDiscoveryForm(mission);
+            } else if (mission.type === 'choice') {
+                createChoiceForm(mission);
+            } else if (mission.type === 'order') {
+                createOrderForm(mission);
+            } else if (mission.type === 'image_pick') {
+                createImagePickForm(mission);
+            } else if (mission.type === 'truefalse') {
+                createTrueFalseForm(mission);
             }
         }
 
@@ -818,11 +1132,8 @@ document.addEventListener('DOMContentLoaded', () => {
         form.addEventListener('submit', (e) => {
             e.preventDefault();
             const quizInput = document.getElementById('quizInput');
-            const userAns = quizInput.value.trim().replace(/\s+/g, '');
-            const correctAns = mission.answer.trim().replace(/\s+/g, '');
 
-            // 관대한 정답 체크 (공백 제거 후 부분 포함 여부 또는 완전 일치)
-            if (userAns === correctAns || userAns.includes(correctAns) || correctAns.includes(userAns)) {
+            if (isAcceptedAnswer(quizInput.value, mission)) {
                 completeMission(mission.id, { submittedAnswer: quizInput.value.trim() });
             } else {
                 alert(`❌ 정답이 아닙니다!\n힌트: ${mission.answer.substring(0, 3)}... 형식 또는 알맞은 정답을 적어보세요!\n(어려우면 아빠에게 정답을 물어보세요!)`);
@@ -833,6 +1144,217 @@ document.addEventListener('DOMContentLoaded', () => {
         missionActionArea.appendChild(form);
     }
 
+    // 정답 비교용: 공백/문장부호를 빼고 영어는 소문자로
+    function normalizeAnswer(text) {
+        return String(text).trim().toLowerCase().replace(/[\s.,!?~'"`()·\-]/g, '');
+    }
+
+    // answer 또는 answers(다른 이름으로도 인정하는 정답 목록)와 정확히 같아야 정답
+    // (예전처럼 부분 포함을 인정하면 '성'만 써도 '성덕대왕신종'이 정답이 됨)
+    function isAcceptedAnswer(input, mission) {
+        const userAns = normalizeAnswer(input);
+        if (!userAns) return false;
+        const accepted = [mission.answer].concat(mission.answers || []);
+        return accepted.some(answer => normalizeAnswer(answer) === userAns);
+    }
+
+    function shuffleArray(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    // 틀린 보기는 흐리게 만들고 다시 고르게 한다
+    function markWrongChoice(button) {
+        button.classList.add('wrong');
+        button.disabled = true;
+        alert('❌ 정답이 아닙니다! 다른 답을 골라 보세요.\n(어려우면 아빠에게 힌트를 물어보세요!)');
+    }
+
+    /*
+     * 추가 미션 타입 (missions.json 형식)
+     * - choice     : "choices": ["보기1", "보기2", ...], "answer": "보기1"
+     * - order      : "items": [정답 순서대로 나열] (화면에서는 섞어서 보여줌), "answer": 완료 화면에 보일 문구
+     * - image_pick : "choices": ["사진1.jpg", "사진2.jpg", ...], "answer": "사진1.jpg"
+     * - truefalse  : "answer": true 또는 false
+     */
+
+    // [미션 타입 4] 객관식
+    function createChoiceForm(mission) {
+        const div = document.createElement('div');
+        div.innerHTML = `
+            <div class="form-group">
+                <label class="form-label">알맞은 답을 골라 보세요 (+${mission.point} GP)</label>
+                <div class="choice-list"></div>
+            </div>
+        `;
+
+        const choiceList = div.querySelector('.choice-list');
+        shuffleArray(mission.choices).forEach(choice => {
+            const button = document.createElement('button');
+            button.className = 'choice-btn';
+            button.textContent = choice;
+            button.addEventListener('click', () => {
+                if (normalizeAnswer(choice) === normalizeAnswer(mission.answer)) {
+                    completeMission(mission.id, { submittedAnswer: choice });
+                } else {
+                    markWrongChoice(button);
+                }
+            });
+            choiceList.appendChild(button);
+        });
+
+        missionActionArea.appendChild(div);
+    }
+
+    // [미션 타입 5] 순서 맞추기 (☰를 끌거나 ▲▼ 버튼으로 이동)
+    function createOrderForm(mission) {
+        const div = document.createElement('div');
+        div.innerHTML = `
+            <div class="form-group">
+                <label class="form-label">위에서부터 먼저인 순서대로 놓아 보세요</label>
+                <ol class="order-list"></ol>
+            </div>
+            <button class="submit-btn">🔐 순서 확인하기 (+${mission.point} GP)</button>
+        `;
+
+        const orderList = div.querySelector('.order-list');
+        let shuffled = shuffleArray(mission.items);
+        // 처음부터 정답 순서로 나오지 않게
+        while (mission.items.length > 1 && shuffled.join() === mission.items.join()) {
+            shuffled = shuffleArray(mission.items);
+        }
+
+        shuffled.forEach(itemText => {
+            const item = document.createElement('li');
+            item.className = 'order-item';
+            item.innerHTML = `
+                <span class="order-handle">☰</span>
+                <span class="order-text"></span>
+                <button class="order-move" data-move="-1">▲</button>
+                <button class="order-move" data-move="1">▼</button>
+            `;
+            item.querySelector('.order-text').textContent = itemText;
+            orderList.appendChild(item);
+        });
+
+        // ▲▼ 버튼
+        orderList.addEventListener('click', (e) => {
+            const moveBtn = e.target.closest('.order-move');
+            if (!moveBtn) return;
+            const item = moveBtn.closest('.order-item');
+            if (moveBtn.dataset.move === '-1' && item.previousElementSibling) {
+                orderList.insertBefore(item, item.previousElementSibling);
+            } else if (moveBtn.dataset.move === '1' && item.nextElementSibling) {
+                orderList.insertBefore(item.nextElementSibling, item);
+            }
+        });
+
+        // ☰ 끌어서 옮기기 (터치/마우스 공통 Pointer Events)
+        let draggingItem = null;
+        orderList.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.order-handle');
+            if (!handle) return;
+            e.preventDefault();
+            draggingItem = handle.closest('.order-item');
+            draggingItem.classList.add('dragging');
+            handle.setPointerCapture(e.pointerId);
+        });
+
+        orderList.addEventListener('pointermove', (e) => {
+            if (!draggingItem) return;
+            const others = [...orderList.querySelectorAll('.order-item:not(.dragging)')];
+            const next = others.find(item => {
+                const rect = item.getBoundingClientRect();
+                return e.clientY < rect.top + rect.height / 2;
+            });
+            orderList.insertBefore(draggingItem, next || null);
+        });
+
+        const endDrag = () => {
+            if (!draggingItem) return;
+            draggingItem.classList.remove('dragging');
+            draggingItem = null;
+        };
+        orderList.addEventListener('pointerup', endDrag);
+        orderList.addEventListener('pointercancel', endDrag);
+
+        div.querySelector('.submit-btn').addEventListener('click', () => {
+            const current = [...orderList.querySelectorAll('.order-text')].map(el => el.textContent);
+            const correctCount = current.filter((text, i) => text === mission.items[i]).length;
+
+            if (correctCount === mission.items.length) {
+                completeMission(mission.id, { submittedAnswer: current.join(' → ') });
+            } else {
+                alert(`❌ 순서가 조금 달라요! ${mission.items.length}개 중 ${correctCount}개가 제자리에 있어요.\n다시 옮겨 보세요!`);
+            }
+        });
+
+        missionActionArea.appendChild(div);
+    }
+
+    // [미션 타입 6] 사진 고르기 ("어느 사진이 OO일까요?")
+    function createImagePickForm(mission) {
+        const div = document.createElement('div');
+        div.innerHTML = `
+            <div class="form-group">
+                <label class="form-label">알맞은 사진을 눌러 보세요 (+${mission.point} GP)</label>
+                <div class="image-choice-grid"></div>
+            </div>
+        `;
+
+        const grid = div.querySelector('.image-choice-grid');
+        shuffleArray(mission.choices).forEach(imageUrl => {
+            const button = document.createElement('button');
+            button.className = 'image-choice';
+            const img = document.createElement('img');
+            img.src = imageUrl;
+            img.alt = '보기 사진';
+            button.appendChild(img);
+            button.addEventListener('click', () => {
+                if (imageUrl === mission.answer) {
+                    completeMission(mission.id, { submittedAnswer: imageUrl });
+                } else {
+                    markWrongChoice(button);
+                }
+            });
+            grid.appendChild(button);
+        });
+
+        missionActionArea.appendChild(div);
+    }
+
+    // [미션 타입 7] OX 퀴즈
+    function createTrueFalseForm(mission) {
+        const div = document.createElement('div');
+        div.innerHTML = `
+            <div class="form-group">
+                <label class="form-label">맞으면 O, 틀리면 X (+${mission.point} GP)</label>
+                <div class="tf-buttons">
+                    <button class="tf-btn tf-true" data-value="true">⭕</button>
+                    <button class="tf-btn tf-false" data-value="false">❌</button>
+                </div>
+            </div>
+        `;
+
+        div.querySelectorAll('.tf-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const value = button.dataset.value === 'true';
+                if (value === mission.answer) {
+                    completeMission(mission.id, { submittedAnswer: value ? 'O' : 'X' });
+                } else {
+                    // 두 개 중 하나라서 다시 고르면 무조건 맞으니 정답을 알려주지 않고 한 번 더 생각하게 함
+                    alert('❌ 앗, 다시 한번 잘 생각해 보세요!\n설명을 천천히 읽어 보면 답이 보여요.');
+                }
+            });
+        });
+
+        missionActionArea.appendChild(div);
+    }
+
     // [미션 타입 2] 인증샷 폼 생성 (가상 카메라 & 이미지 업로드)
     function createActionForm(mission) {
         const div = document.createElement('div');
@@ -855,25 +1377,35 @@ document.addEventListener('DOMContentLoaded', () => {
         const photoPreviewContainer = div.querySelector('#photoPreviewContainer');
         const photoPreview = div.querySelector('#photoPreview');
         const photoSubmitBtn = div.querySelector('#photoSubmitBtn');
-        let selectedPhotoData = null;
+        let selectedPhotoFile = null;
 
         photoInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    selectedPhotoData = event.target.result;
-                    photoPreview.src = selectedPhotoData;
-                    photoPreviewContainer.style.display = 'block';
-                    photoSubmitBtn.removeAttribute('disabled');
-                };
-                reader.readAsDataURL(file);
+                selectedPhotoFile = file;
+                if (photoPreview.src.startsWith('blob:')) URL.revokeObjectURL(photoPreview.src);
+                photoPreview.src = URL.createObjectURL(file);
+                photoPreviewContainer.style.display = 'block';
+                photoSubmitBtn.removeAttribute('disabled');
             }
         });
 
-        photoSubmitBtn.addEventListener('click', () => {
-            if (selectedPhotoData) {
-                completeMission(mission.id, { photo: selectedPhotoData });
+        // 사진은 줄여서 IndexedDB에 저장하고, 완료 기록에는 사진 유무만 남긴다
+        photoSubmitBtn.addEventListener('click', async () => {
+            if (!selectedPhotoFile) return;
+
+            photoSubmitBtn.disabled = true;
+            photoSubmitBtn.textContent = '📦 사진 저장 중...';
+            try {
+                const blob = await PhotoStore.resizeImage(selectedPhotoFile);
+                await photoStore.save(mission.id, blob);
+                URL.revokeObjectURL(photoPreview.src);
+                completeMission(mission.id, { hasPhoto: true });
+            } catch (error) {
+                console.error('인증샷 저장 실패:', error);
+                alert('⚠️ 사진을 저장하지 못했어요. 다른 사진으로 다시 시도해 주세요.');
+                photoSubmitBtn.disabled = false;
+                photoSubmitBtn.textContent = `🔐 사진 전송 및 복원 (+${mission.point} GP)`;
             }
         });
 
@@ -881,25 +1413,74 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // [미션 타입 3] 발견 폼 생성
+    // 좌표(lat/lng/radius)가 있는 미션은 그 반경 안에 들어가야 버튼이 열린다 (geofence.js)
     function createDiscoveryForm(mission) {
+        const useGeofence = hasGeofence(mission) && !isGeofenceOverridden();
         const div = document.createElement('div');
         div.innerHTML = `
             <p style="font-size: 12px; color: var(--color-text-muted); margin-bottom: 16px; text-align: center;">🏛️ 해당 유적물 바로 앞에 도착했다면 아래 버튼을 터치하여 도감을 발견 상태로 만드세요!</p>
+            <div class="geofence-hint" id="geofenceHint" style="display: none;">
+                <div class="geofence-compass"><span class="geofence-arrow" id="geofenceArrow">⬆</span></div>
+                <div class="geofence-text" id="geofenceText">📡 위치 확인 중...</div>
+            </div>
             <button class="submit-btn" id="discoverySubmitBtn">📍 발견 완료 터치! (+${mission.point} GP)</button>
         `;
 
         const discoverySubmitBtn = div.querySelector('#discoverySubmitBtn');
+        let lastResult = null;
+
         discoverySubmitBtn.addEventListener('click', () => {
-            completeMission(mission.id, {});
+            const extraData = lastResult ? { distance: Math.round(lastResult.distance) } : {};
+            if (hasGeofence(mission) && !useGeofence) extraData.override = true;
+            completeMission(mission.id, extraData);
         });
 
+        if (useGeofence) {
+            const geofenceHint = div.querySelector('#geofenceHint');
+            const geofenceArrow = div.querySelector('#geofenceArrow');
+            const geofenceText = div.querySelector('#geofenceText');
+            geofenceHint.style.display = 'flex';
+            discoverySubmitBtn.disabled = true;
+            discoverySubmitBtn.textContent = '🔒 유적지 가까이 가면 열려요';
+
+            stopGeofenceWatch = watchGeofence(mission, (result) => {
+                lastResult = result;
+                geofenceArrow.style.transform = `rotate(${result.bearing}deg)`;
+                if (result.inside) {
+                    geofenceHint.classList.add('inside');
+                    geofenceText.textContent = '🎯 도착했어요! 주변을 둘러보고 발견 버튼을 눌러요!';
+                    discoverySubmitBtn.disabled = false;
+                    discoverySubmitBtn.textContent = `📍 발견 완료 터치! (+${mission.point} GP)`;
+                } else {
+                    geofenceHint.classList.remove('inside');
+                    geofenceText.textContent = `🧭 ${result.direction}쪽으로 ${formatDistance(result.remaining)} 더 가야 해요`;
+                    discoverySubmitBtn.disabled = true;
+                    discoverySubmitBtn.textContent = '🔒 유적지 가까이 가면 열려요';
+                }
+            }, (message) => {
+                geofenceText.textContent = `⚠️ ${message} (아빠 제어판에서 위치 확인을 끌 수 있어요)`;
+            });
+        }
+
         missionActionArea.appendChild(div);
     }
 
+    function stopGeofence() {
+        if (stopGeofenceWatch) {
+            stopGeofenceWatch();
+            stopGeofenceWatch = null;
+        }
+    }
+
+    function isGeofenceOverridden() {
+        return localStorage.getItem(GEOFENCE_OVERRIDE_KEY) === 'true';
+    }
+
     // 8. 미션 완료 성공 처리 (LocalStorage 저장 및 연출)
     function completeMission(missionId, extraData = {}) {
         // 모달 닫기
         missionModal.classList.remove('active');
+        stopGeofence();
 
         // 데이터 기록
         const newRecord = {
@@ -908,12 +1489,52 @@ document.addEventListener('DOMContentLoaded', () => {
             ...extraData
         };
         completedMissions.push(newRecord);
-        localStorage.setItem('yul_gj_completed_missions', JSON.stringify(completedMissions));
+        saveCompletedMissions();
+        creditMissionPoints(missionId);
 
         // 도장 효과 재생
         triggerStampEffect();
     }
 
+    // 같은 여행의 같은 미션은 초기화 후 다시 깨도 한 번만 적립 (key: 'gj:여행:미션')
+    async function creditMissionPoints(missionId) {
+        const cat = missionsData.find(c => c.missions.some(m => m.id === missionId));
+        if (!cat) return;
+        const mission = cat.missions.find(m => m.id === missionId);
+        try {
+            await ledger.credit('gj', mission.point, `${currentTrip.subtitle} - ${mission.title}`, `gj:${currentTrip.id}:${missionId}`);
+        } catch (error) {
+            console.error('포인트 적립 실패:', error);
+        }
+    }
+
+    // 포인트 장부가 생기기 전에 깬 미션(localStorage에만 남은 GP)을 여행마다 한 번 적립
+    // 미션별 키가 같으므로 이미 적립된 미션은 서버에서 중복으로 무시된다
+    async function backfillMissionPoints() {
+        if (localStorage.getItem(tripKeys.pointsBackfilled) === 'true') return;
+        if (missionsData.length === 0) return; // 미션 목록을 못 받았으면 다음에
+
+        for (const record of completedMissions) {
+            await creditMissionPoints(record.id);
+        }
+        localStorage.setItem(tripKeys.pointsBackfilled, 'true');
+    }
+
+    function saveCompletedMissions() {
+        localStorage.setItem(tripKeys.completed, JSON.stringify(completedMissions));
+    }
+
+    // 여행 여권 도장 (첫 미션 날짜 ~ 마지막 미션 날짜)
+    function stampPassport(score, missionCount) {
+        const dates = completedMissions.map(record => record.completedAt).filter(Boolean).sort();
+        savePassportStamp(currentTrip, {
+            startedAt: dates[0],
+            completedAt: dates[dates.length - 1],
+            totalGP: score,
+            missionCount: missionCount
+        });
+    }
+
     // 9. 도장 애니메이션 및 사운드 연출
     function triggerStampEffect() {
         // 1) 사운드 재생 시도
@@ -951,6 +1572,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // 10. 아빠 전용 제어판 (리셋 및 올클리어)
     settingsBtn.addEventListener('click', () => {
         settingsModal.classList.add('active');
+        refreshTripPackStatus();
+        updateGeofenceOverrideBtn();
     });
 
     closeSettingsModalBtn.addEventListener('click', () => {
@@ -959,19 +1582,26 @@ document.addEventListener('DOMContentLoaded', () => {
 
     closeModalBtn.addEventListener('click', () => {
         missionModal.classList.remove('active');
+        stopGeofence();
     });
 
     // 밖 터치 시 닫기
     window.addEventListener('click', (e) => {
-        if (e.target === missionModal) missionModal.classList.remove('active');
+        if (e.target === missionModal) {
+            missionModal.classList.remove('active');
+            stopGeofence();
+        }
         if (e.target === settingsModal) settingsModal.classList.remove('active');
+        if (e.target === tripModal) tripModal.classList.remove('active');
     });
 
     // 전체 리셋
     resetAppBtn.addEventListener('click', () => {
-        if (confirm('⚠️ 정말로 율이의 모든 경주 탐험 기록을 초기화할까요?\n(점수와 획득한 보물이 모두 사라집니다!)')) {
+        if (confirm(`⚠️ 정말로 율이의 '${currentTrip.title}' 탐험 기록을 초기화할까요?\n(점수와 획득한 보물, 여권 도장이 모두 사라집니다!)`)) {
             completedMissions = [];
-            localStorage.removeItem('yul_gj_completed_missions');
+            localStorage.removeItem(tripKeys.completed);
+            removePassportStamp(currentTrip.id);
+            photoStore.clear().catch(error => console.error('인증샷 삭제 실패:', error));
             settingsModal.classList.remove('active');
             updateDashboard();
             renderGrids();
@@ -979,6 +1609,22 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // 발견 미션 위치 확인 켜기/끄기 (GPS가 안 잡히거나 공사 중일 때 아빠가 승인)
+    function updateGeofenceOverrideBtn() {
+        geofenceOverrideBtn.textContent = isGeofenceOverridden()
+            ? '🔓 발견 미션 위치 확인: 꺼짐 (아빠 승인)'
+            : '📍 발견 미션 위치 확인: 켜짐';
+    }
+
+    geofenceOverrideBtn.addEventListener('click', () => {
+        if (isGeofenceOverridden()) {
+            localStorage.removeItem(GEOFENCE_OVERRIDE_KEY);
+        } else if (confirm('📍 위치 확인 없이 발견 미션을 완료할 수 있게 할까요?')) {
+            localStorage.setItem(GEOFENCE_OVERRIDE_KEY, 'true');
+        }
+        updateGeofenceOverrideBtn();
+    });
+
     // 강제 올클리어 (테스트용)
     completeAllBtn.addEventListener('click', () => {
         if (confirm('⚡ 테스트를 위해 모든 미션을 즉시 완료 처리할까요?')) {
@@ -993,7 +1639,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     });
                 });
             });
-            localStorage.setItem('yul_gj_completed_missions', JSON.stringify(completedMissions));
+            saveCompletedMissions();
             settingsModal.classList.remove('active');
             updateDashboard();
             renderGrids();
@@ -1001,7 +1647,314 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
-    // 11. 배경용 추가 별 생성
+    // 11. 여행팩 (출발 전에 미션 목록과 유물 사진을 모두 받아 오프라인 탐험 준비)
+    function getTripPackImageUrls() {
+        const urls = [];
+        missionsData.forEach(cat => {
+            cat.missions.forEach(mission => {
+                // 사진 고르기 미션은 보기 사진까지 함께 받는다
+                const images = [mission.image_url].concat(mission.type === 'image_pick' ? mission.choices : []);
+                images.forEach(imageUrl => {
+                    if (imageUrl && !urls.includes(imageUrl)) urls.push(imageUrl);
+                });
+            });
+        });
+        return urls;
+    }
+
+    async function loadTripPackMissions() {
+        if (!('caches' in window)) return null;
+        try {
+            const cache = await caches.open(tripKeys.cache);
+            const cached = await cache.match(missionsUrl, { ignoreSearch: true });
+            return cached ? await cached.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 여행팩뿐 아니라 서비스워커가 미리 저장해 둔 사진도 오프라인에서 보이므로 모든 캐시를 확인
+    async function findUncachedMissionIds() {
+        const missing = [];
+        for (const cat of missionsData) {
+            for (const mission of cat.missions) {
+                if (!mission.image_url) continue;
+                const cached = await caches.match(mission.image_url, { ignoreSearch: true });
+                if (!cached) missing.push(mission.id);
+            }
+        }
+        return missing;
+    }
+
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} B`;
+    }
+
+    async function refreshTripPackStatus() {
+        if (!('caches' in window)) {
+            tripPackStatus.textContent = '이 브라우저는 오프라인 저장을 지원하지 않아요.';
+            tripPackBtn.disabled = true;
+            return;
+        }
+
+        const info = JSON.parse(localStorage.getItem(tripKeys.tripPack));
+        const missing = await findUncachedMissionIds();
+        let total = 0;
+        missionsData.forEach(cat => {
+            total += cat.missions.filter(mission => mission.image_url).length;
+        });
+
+        tripPackSize.textContent = info ? formatBytes(info.totalBytes) : '-';
+        if (!info) {
+            tripPackStatus.textContent = `출발 전에 와이파이에서 받아두면 인터넷 없이도 탐험할 수 있어요. (사진 ${total - missing.length}/${total}개 준비됨)`;
+        } else if (missing.length === 0) {
+            tripPackStatus.textContent = `✅ 모든 미션 사진 준비 완료! (${new Date(info.downloadedAt).toLocaleDateString('ko-KR')} 저장)`;
+        } else {
+            tripPackStatus.textContent = `📵 사진 ${missing.length}개가 아직 오프라인에 없어요. 다시 받아 주세요. (${total - missing.length}/${total})`;
+        }
+
+        // 여행팩을 받은 뒤에만 빠진 사진을 카드에 표시
+        const nextIds = info ? missing : [];
+        if (nextIds.join() !== uncachedMissionIds.join()) {
+            uncachedMissionIds = nextIds;
+            renderGrids();
+        }
+    }
+
+    async function downloadTripPack() {
+        if (!('caches' in window)) return;
+
+        tripPackBtn.disabled = true;
+        tripPackBtn.textContent = '📦 받는 중...';
+        tripPackProgressBar.style.width = '0%';
+
+        try {
+            const cache = await caches.open(tripKeys.cache);
+
+            // 최신 미션 목록부터 받아서 그 안의 사진 목록을 만든다
+            const missionsResponse = await fetch(missionsUrl, { cache: 'no-cache' });
+            if (!missionsResponse.ok) throw new Error('미션 목록을 받지 못했어요.');
+            const missionsBlob = await missionsResponse.clone().blob();
+            await cache.put(missionsUrl, missionsResponse);
+            missionsData = JSON.parse(await missionsBlob.text());
+            renderTabs();
+            updateDashboard();
+
+            // 앱 화면 파일도 함께 저장 (서비스워커 설치 전이어도 다시 열 수 있도록)
+            const appFiles = ['../sync_queue.js', '../points.js', 'index.html', 'app.js', 'missions_version.js', 'trips.js', 'trips.json', 'photo_store.js', 'geofence.js', 'style.css', 'no_image.svg', 'passport.html', 'passport.js'];
+            if (currentTrip.map) appFiles.push(currentTrip.map.image);
+            const urls = appFiles.concat(getTripPackImageUrls());
+            let totalBytes = missionsBlob.size;
+            let failedCount = 0;
+
+            for (let i = 0; i < urls.length; i++) {
+                try {
+                    const response = await fetch(urls[i], { cache: 'no-cache' });
+                    if (!response.ok) throw new Error(response.status);
+                    const blob = await response.clone().blob();
+                    await cache.put(urls[i], response);
+                    totalBytes += blob.size;
+                } catch (error) {
+                    console.warn('여행팩 저장 실패:', urls[i], error);
+                    failedCount++;
+                }
+
+                tripPackProgressBar.style.width = `${((i + 1) / urls.length) * 100}%`;
+                tripPackStatus.textContent = `📥 ${i + 1} / ${urls.length} 받는 중...`;
+                tripPackSize.textContent = formatBytes(totalBytes);
+            }
+
+            localStorage.setItem(tripKeys.tripPack, JSON.stringify({
+                downloadedAt: new Date().toISOString(),
+                totalBytes: totalBytes,
+                fileCount: urls.length + 1 - failedCount
+            }));
+
+            renderGrids();
+            await refreshTripPackStatus();
+            if (failedCount > 0) {
+                alert(`⚠️ ${failedCount}개 파일을 받지 못했어요. 와이파이를 확인하고 다시 받아 주세요.`);
+            }
+        } catch (error) {
+            console.error('여행팩 다운로드 실패:', error);
+            tripPackStatus.textContent = '⚠️ 다운로드에 실패했어요. 인터넷 연결을 확인해 주세요.';
+        } finally {
+            tripPackBtn.disabled = false;
+            tripPackBtn.textContent = '📦 여행팩 다시 받기';
+        }
+    }
+
+    tripPackBtn.addEventListener('click', downloadTripPack);
+
+    // 12. 인증샷 앨범 (IndexedDB 사진 + 미션 정보, ZIP 내보내기)
+
+    // 예전 버전에서 localStorage에 data URL로 넣어둔 사진을 IndexedDB로 옮긴다
+    async function migrateLegacyPhotos() {
+        const legacy = completedMissions.filter(record => record.photo && record.photo.startsWith('data:'));
+        if (legacy.length === 0) return;
+
+        for (const record of legacy) {
+            try {
+                const blob = await (await fetch(record.photo)).blob();
+                await photoStore.save(record.id, blob);
+                delete record.photo;
+                record.hasPhoto = true;
+            } catch (error) {
+                console.error('인증샷 옮기기 실패:', record.id, error);
+            }
+        }
+        saveCompletedMissions();
+    }
+
+    // 완료 기록의 사진 주소 (IndexedDB Blob → Blob URL, 예전 기록은 photo 주소 그대로)
+    async function getPhotoSrc(record) {
+        if (record.hasPhoto) {
+            try {
+                const photo = await photoStore.get(record.id);
+                if (photo) {
+                    const url = URL.createObjectURL(photo.blob);
+                    photoObjectUrls.push(url);
+                    return url;
+                }
+            } catch (error) {
+                console.error('인증샷 불러오기 실패:', error);
+            }
+        }
+        return record.photo || null;
+    }
+
+    // 완료한 인증샷 미션 (완료한 순서대로)
+    function getAlbumEntries() {
+        const entries = [];
+        missionsData.forEach(cat => {
+            cat.missions.forEach(mission => {
+                if (mission.type !== 'action') return;
+                const record = completedMissions.find(m => m.id === mission.id);
+                if (record) entries.push({ mission: mission, category: cat.category, record: record });
+            });
+        });
+        return entries.sort((a, b) => a.record.completedAt.localeCompare(b.record.completedAt));
+    }
+
+    function formatAlbumTime(isoString) {
+        return new Date(isoString).toLocaleString('ko-KR', {
+            month: 'long', day: 'numeric', weekday: 'short', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    function renderAlbum() {
+        photoObjectUrls.forEach(url => URL.revokeObjectURL(url));
+        photoObjectUrls = [];
+        albumGrid.innerHTML = '';
+
+        const entries = getAlbumEntries();
+        albumCount.textContent = entries.length;
+        albumExportBtn.disabled = entries.length === 0;
+
+        if (entries.length === 0) {
+            albumGrid.innerHTML = '<div class="empty-state">📸 아직 찍은 인증샷이 없습니다. 인증샷 미션에 도전해 보세요!</div>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const card = document.createElement('div');
+            card.className = 'album-card';
+            card.innerHTML = `
+                <div class="album-photo-wrapper">
+                    <img class="album-photo" alt="${entry.mission.title}">
+                </div>
+                <div class="album-info">
+                    <span class="card-category">${entry.category}</span>
+                    <h3 class="album-title">${entry.mission.title}</h3>
+                    <span class="album-time">🕒 ${formatAlbumTime(entry.record.completedAt)}</span>
+                    <p class="album-description">${entry.mission.description}</p>
+                </div>
+            `;
+            albumGrid.appendChild(card);
+
+            const img = card.querySelector('.album-photo');
+            getPhotoSrc(entry.record).then(src => {
+                if (src) img.src = src;
+                else img.parentElement.classList.add('no-photo');
+            });
+        });
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // 사진 파일 + 앨범 페이지(album.html)를 ZIP 하나로 내려받기
+    async function exportAlbum() {
+        const entries = getAlbumEntries();
+        if (entries.length === 0) return;
+
+        albumExportBtn.disabled = true;
+        albumExportBtn.textContent = '📦 만드는 중...';
+        try {
+            const files = [];
+            const pages = [];
+
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                const photo = entry.record.hasPhoto ? await photoStore.get(entry.mission.id) : null;
+                const safeTitle = entry.mission.title.replace(/[\\/:*?"<>|]/g, '').replace(/\s+/g, '_');
+                const fileName = `${String(i + 1).padStart(2, '0')}_${safeTitle}.jpg`;
+                if (photo) files.push({ name: fileName, blob: photo.blob });
+
+                pages.push(`
+    <section>
+        ${photo ? `<img src="${escapeHtml(fileName)}" alt="${escapeHtml(entry.mission.title)}">` : ''}
+        <p class="meta">${escapeHtml(entry.category)} · ${escapeHtml(formatAlbumTime(entry.record.completedAt))}</p>
+        <h2>${escapeHtml(entry.mission.title)}</h2>
+        <p>${escapeHtml(entry.mission.description)}</p>
+    </section>`);
+            }
+
+            const html = `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<title>율이의 여행 앨범 - ${escapeHtml(currentTrip.title)}</title>
+<style>
+    body { font-family: sans-serif; max-width: 720px; margin: 0 auto; padding: 20px; color: #222; }
+    section { margin-bottom: 40px; }
+    img { width: 100%; border-radius: 8px; }
+    .meta { color: #888; font-size: 13px; }
+</style>
+</head>
+<body>
+    <h1>${currentTrip.emoji} ${escapeHtml(currentTrip.title)}</h1>${pages.join('')}
+</body>
+</html>`;
+            files.push({ name: 'album.html', blob: new Blob([html], { type: 'text/html' }) });
+
+            const zip = await createZipBlob(files);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(zip);
+            link.download = `율이_앨범_${currentTrip.id}_${new Date().toISOString().slice(0, 10)}.zip`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+        } catch (error) {
+            console.error('앨범 내보내기 실패:', error);
+            alert('⚠️ 앨범을 만들지 못했어요. 다시 시도해 주세요.');
+        } finally {
+            albumExportBtn.disabled = false;
+            albumExportBtn.textContent = '📦 앨범 ZIP 저장';
+        }
+    }
+
+    albumExportBtn.addEventListener('click', exportAlbum);
+
+    // 13. 배경용 추가 별 생성
     function createStarsBackground() {
         const starsContainer = document.getElementById('stars');
         if (!starsContainer) return;
@@ -1042,11 +1995,63 @@ document.addEventListener('DOMContentLoaded', () => {
     `;
     document.head.appendChild(style);
 
-    // 축하 팡파레 (올클리어 시 가볍게 터짐)
+    // 축하 팡파레 (올클리어 시 여행마다 다른 이모지가 쏟아짐, trips.json의 confetti)
     function triggerAllCompleteConfetti() {
-        console.log('🎉 축하합니다! 경주 보물 도감이 완성되었습니다.');
+        const symbols = currentTrip.confetti || ['🎉', '✨', '⭐'];
+        const layer = document.createElement('div');
+        layer.className = 'confetti-layer';
+        for (let i = 0; i < 40; i++) {
+            const piece = document.createElement('span');
+            piece.className = 'confetti-piece';
+            piece.textContent = symbols[i % symbols.length];
+            piece.style.left = Math.random() * 100 + '%';
+            piece.style.fontSize = Math.random() * 16 + 16 + 'px';
+            piece.style.animationDelay = Math.random() * 1.5 + 's';
+            piece.style.animationDuration = Math.random() * 2 + 2.5 + 's';
+            layer.appendChild(piece);
+        }
+        document.body.appendChild(layer);
+        setTimeout(() => layer.remove(), 6000);
+    }
+
+    // 14. 여행 고르기 (경주, 서울 궁궐, 박물관 나들이 ...)
+    function renderTripList() {
+        tripList.innerHTML = '';
+        const passport = loadPassport();
+
+        trips.forEach(trip => {
+            const doneCount = loadCompletedMissions(trip).length;
+            const option = document.createElement('button');
+            option.className = `trip-option ${trip.id === currentTrip.id ? 'active' : ''}`;
+            option.innerHTML = `
+                <span class="trip-option-emoji">${trip.emoji}</span>
+                <span class="trip-option-info">
+                    <strong>${escapeHtml(trip.title)}</strong>
+                    <small>${escapeHtml(trip.subtitle)} · ${passport[trip.id] ? '🛂 여권 도장 완료' : `${doneCount}개 미션 완료`}</small>
+                </span>
+            `;
+            option.addEventListener('click', () => selectTrip(trip));
+            tripList.appendChild(option);
+        });
+    }
+
+    function selectTrip(trip) {
+        tripModal.classList.remove('active');
+        if (trip.id === currentTrip.id) return;
+        localStorage.setItem(CURRENT_TRIP_KEY, trip.id);
+        // 미션, 기록, 사진 저장소, 지도가 모두 여행별이라 처음부터 다시 불러온다
+        window.location.reload();
     }
 
+    tripSwitchBtn.addEventListener('click', () => {
+        renderTripList();
+        tripModal.classList.add('active');
+    });
+
+    closeTripModalBtn.addEventListener('click', () => {
+        tripModal.classList.remove('active');
+    });
+
     // 실행 시작
     loadMissions();
 });
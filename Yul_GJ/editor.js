@@ -0,0 +1,791 @@
+/* ==========================================================================
+   신라 타임머신 경주여행 - 미션 편집기 (editor.js)
+   추가퀴즈.txt / 퀴즈.ini 형식의 글을 읽어 미션으로 바꾸고,
+   카테고리/미션을 편집한 뒤 새 버전의 missions.json을 내보냅니다.
+   ========================================================================== */
+
+const MISSION_TYPES = {
+    quiz: '수수께끼',
+    action: '📸 인증샷',
+    discovery: '🗺️ 발견',
+    choice: '🔢 객관식',
+    order: '🔀 순서',
+    image_pick: '🖼️ 사진 고르기',
+    truefalse: '⭕ OX'
+};
+
+// 템플릿의 '미션 종류' 글자 → type
+const TYPE_ALIASES = {
+    '수수께끼': 'quiz',
+    '퀴즈': 'quiz',
+    '인증샷': 'action',
+    '사진찍기': 'action',
+    '단순발견': 'discovery',
+    '발견': 'discovery',
+    '객관식': 'choice',
+    '순서': 'order',
+    '순서맞추기': 'order',
+    '사진고르기': 'image_pick',
+    'ox': 'truefalse',
+    'ox퀴즈': 'truefalse'
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const DEFAULT_POINT = 100;
+
+// missions.json에 쓰는 필드 순서 (비어 있는 선택 필드는 빼고 저장)
+const MISSION_FIELDS = ['id', 'title', 'type', 'description', 'choices', 'items', 'answer', 'answers',
+    'point', 'image_url', 'heritage_type', 'description_detail', 'lat', 'lng', 'radius'];
+
+// 템플릿 줄 "- 키: 값" 의 키 → 필드
+const TEMPLATE_KEYS = [
+    { pattern: /^장소/, field: 'category' },
+    { pattern: /^미션\s*이름/, field: 'title' },
+    { pattern: /^미션\s*종류/, field: 'type' },
+    { pattern: /^미션\s*설명/, field: 'description' },
+    { pattern: /^정답/, field: 'answer' },
+    { pattern: /^점수/, field: 'point' },
+    { pattern: /^이미지/, field: 'image_url' }
+];
+
+function toMissionType(text) {
+    const key = String(text).replace(/\s+/g, '').toLowerCase();
+    if (MISSION_TYPES[key]) return key;
+    return TYPE_ALIASES[key] || null;
+}
+
+// "[예: 다보탑] (수수께끼일 경우만 필수)" → "예: 다보탑"
+function cleanTemplateValue(value) {
+    const text = value.trim();
+    const bracketed = text.match(/^\[(.*)\]\s*(\(.*\))?$/);
+    return bracketed ? bracketed[1].trim() : text;
+}
+
+function createDraftMission(fields) {
+    return {
+        id: '',
+        title: fields.title || '',
+        type: fields.type || 'quiz',
+        description: fields.description || '',
+        answer: fields.answer || '',
+        point: fields.point || DEFAULT_POINT,
+        image_url: fields.image_url || '',
+        heritage_type: fields.heritage_type || '',
+        description_detail: fields.description_detail || ''
+    };
+}
+
+/**
+ * 추가퀴즈.txt / 퀴즈.ini 글을 미션 초안 목록으로 바꿉니다.
+ * 1) 템플릿 블록: "- 장소(카테고리): ..." ~ "- 이미지 이름: ..."
+ * 2) 문화재 목록: "1. 이름" 다음 줄의 [설명] 과 {이미지 이름}
+ *    ('#' 안내 줄에 '미술품'이 있으면 그 뒤 항목은 미술품 인증샷 미션으로)
+ * 반환: { drafts: [{ category, mission }], warnings: [문장] }
+ */
+function parseMissionText(text, defaultCategory) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const drafts = [];
+    const warnings = [];
+
+    let block = null;        // 템플릿 블록
+    let heritage = null;     // 문화재 목록 항목
+    let detailLines = null;  // [ ... ] 설명을 모으는 중
+    let artMode = false;     // '# ... 미술품' 안내 이후
+
+    const finishBlock = () => {
+        if (block && !block.isExample && block.fields.title) {
+            const type = toMissionType(block.fields.type || '수수께끼');
+            if (!type) warnings.push(`'${block.fields.title}': 알 수 없는 미션 종류 '${block.fields.type}' → 수수께끼로 가져옴`);
+            drafts.push({
+                category: block.fields.category || defaultCategory,
+                mission: createDraftMission(Object.assign({}, block.fields, { type: type || 'quiz' }))
+            });
+        }
+        block = null;
+    };
+
+    const finishHeritage = () => {
+        if (heritage) {
+            if (!heritage.image_url) warnings.push(`'${heritage.title}': {이미지 이름}이 없습니다.`);
+            drafts.push({
+                category: defaultCategory,
+                mission: createDraftMission(heritage)
+            });
+        }
+        heritage = null;
+    };
+
+    lines.forEach(rawLine => {
+        const line = rawLine.trim();
+
+        // [ ... ] 여러 줄 설명 (안쪽의 "2. ..." 같은 줄도 설명으로 취급)
+        if (detailLines) {
+            if (line.endsWith(']')) {
+                detailLines.push(line.slice(0, -1).trim());
+                heritage.description_detail = detailLines.join('\n').trim();
+                detailLines = null;
+            } else {
+                detailLines.push(line);
+            }
+            return;
+        }
+
+        if (!line) return;
+
+        if (line.startsWith('#')) {
+            if (line.includes('미술품')) artMode = true;
+            return;
+        }
+
+        const field = line.match(/^-\s*([^:]+):\s*(.*)$/);
+        if (field) {
+            const key = TEMPLATE_KEYS.find(k => k.pattern.test(field[1].trim()));
+            if (!key) return;
+            const value = cleanTemplateValue(field[2]);
+
+            // '장소'가 나오거나 이름이 이미 있는 블록에 또 이름이 나오면 새 미션
+            if (!block || key.field === 'category' || (key.field === 'title' && block.fields.title)) {
+                finishHeritage();
+                finishBlock();
+                block = { fields: {}, isExample: false };
+            }
+            if (/^예\s*:/.test(value)) {
+                block.isExample = true;
+                return;
+            }
+            block.fields[key.field] = key.field === 'point'
+                ? (parseInt(value.replace(/[^0-9]/g, ''), 10) || DEFAULT_POINT)
+                : value;
+            return;
+        }
+
+        const numbered = line.match(/^\d+\.\s*(.+)$/);
+        if (numbered) {
+            finishBlock();
+            finishHeritage();
+            heritage = {
+                title: numbered[1].trim(),
+                type: artMode ? 'action' : 'quiz',
+                heritage_type: artMode ? '미술품' : '',
+                answer: artMode ? '인증샷 촬영 완료' : ''
+            };
+            if (artMode) {
+                heritage.description = `'${heritage.title}' 작품 앞에서 멋진 포즈로 인증 사진을 찍어 도감을 완성하세요!`;
+            }
+            return;
+        }
+
+        if (line.startsWith('[') && heritage && !heritage.description_detail) {
+            const rest = line.slice(1);
+            if (rest.trim().endsWith(']')) {
+                heritage.description_detail = rest.trim().slice(0, -1).trim();
+            } else {
+                detailLines = [rest.trim()];
+            }
+            return;
+        }
+
+        const image = line.match(/^\{(.+)\}$/);
+        if (image) {
+            if (heritage && !heritage.image_url) {
+                heritage.image_url = image[1].trim();
+            } else {
+                warnings.push(`번호 없는 이미지 {${image[1].trim()}}는 건너뛰었습니다.`);
+            }
+        }
+    });
+
+    if (detailLines) warnings.push(`'${heritage.title}': 설명의 닫는 ']'가 없습니다.`);
+    finishBlock();
+    finishHeritage();
+
+    return { drafts: drafts, warnings: warnings };
+}
+
+// 카테고리 순서 기준 id 접두어 (첫 카테고리 m1_, 두 번째 m2_ ...)
+function createMissionId(categories, catIndex) {
+    const prefix = `m${catIndex + 1}_`;
+    let max = 0;
+    categories.forEach(cat => {
+        cat.missions.forEach(mission => {
+            if (mission.id.startsWith(prefix)) {
+                max = Math.max(max, parseInt(mission.id.slice(prefix.length), 10) || 0);
+            }
+        });
+    });
+    return `${prefix}${max + 1}`;
+}
+
+// '1.6' → '1.7', '1.9' → '1.10'
+function bumpVersion(version) {
+    const parts = String(version).split('.');
+    const last = parseInt(parts[parts.length - 1], 10);
+    parts[parts.length - 1] = isNaN(last) ? '1' : String(last + 1);
+    return parts.join('.');
+}
+
+function getMissionImages(mission) {
+    const images = mission.image_url ? [mission.image_url] : [];
+    if (mission.type === 'image_pick' && Array.isArray(mission.choices)) {
+        mission.choices.forEach(choice => images.push(choice));
+    }
+    return images;
+}
+
+/**
+ * 미션 목록 검사. imageStatus: { 'a.jpg': true(있음) / false(없음) }
+ * 반환: [{ level: 'error' | 'warning', catIndex, missionIndex, message }]
+ */
+function validateMissions(categories, imageStatus = {}) {
+    const problems = [];
+    const seenIds = {};
+
+    categories.forEach((cat, catIndex) => {
+        const add = (level, missionIndex, message) => problems.push({ level, catIndex, missionIndex, message });
+
+        if (!cat.category.trim()) add('error', null, '카테고리 이름이 비어 있습니다.');
+        if (cat.missions.length === 0) add('warning', null, `'${cat.category}' 카테고리에 미션이 없습니다.`);
+
+        cat.missions.forEach((mission, missionIndex) => {
+            const name = mission.title || mission.id || `${missionIndex + 1}번째 미션`;
+            const error = (message) => add('error', missionIndex, `${name}: ${message}`);
+            const warning = (message) => add('warning', missionIndex, `${name}: ${message}`);
+
+            if (!mission.id) {
+                error('id가 없습니다.');
+            } else if (!/^[A-Za-z0-9_-]+$/.test(mission.id)) {
+                error(`id '${mission.id}'에는 영문/숫자/_/- 만 쓸 수 있습니다.`);
+            } else if (seenIds[mission.id]) {
+                error(`id '${mission.id}'가 '${seenIds[mission.id]}'와 겹칩니다. (완료 기록이 섞여요)`);
+            } else {
+                seenIds[mission.id] = name;
+            }
+
+            if (!mission.title) error('미션 이름이 없습니다.');
+            if (!MISSION_TYPES[mission.type]) error(`알 수 없는 미션 종류 '${mission.type}'`);
+            if (!mission.description) error('미션 설명이 없습니다.');
+            if (!Number.isInteger(mission.point) || mission.point <= 0) error('점수는 1 이상의 정수여야 합니다.');
+
+            if (mission.type === 'quiz' && !mission.answer) error('수수께끼 정답이 없습니다.');
+            if (mission.type === 'choice' || mission.type === 'image_pick') {
+                if (!Array.isArray(mission.choices) || mission.choices.length < 2) error('보기가 2개 이상 필요합니다.');
+                else if (!mission.choices.includes(mission.answer)) error('정답이 보기 안에 없습니다.');
+            }
+            if (mission.type === 'order' && (!Array.isArray(mission.items) || mission.items.length < 2)) {
+                error('순서 항목이 2개 이상 필요합니다.');
+            }
+            if (mission.type === 'truefalse' && typeof mission.answer !== 'boolean') error('OX 정답은 O 또는 X를 골라야 합니다.');
+
+            const hasLat = typeof mission.lat === 'number';
+            const hasLng = typeof mission.lng === 'number';
+            if (hasLat !== hasLng) error('위도(lat)와 경도(lng)는 함께 입력해야 합니다.');
+            if (mission.type === 'discovery' && !hasLat) warning('좌표가 없어 어디서나 발견 버튼을 누를 수 있습니다.');
+
+            if (!mission.image_url) warning('이미지가 없어 기본 사진이 보입니다.');
+            getMissionImages(mission).forEach(image => {
+                if (imageStatus[image] === false) error(`이미지 파일 '${image}'를 찾을 수 없습니다.`);
+            });
+        });
+    });
+
+    return problems;
+}
+
+// 필드 순서를 맞추고 비어 있는 선택 필드는 뺀 missions.json 용 객체
+function normalizeMission(mission) {
+    const result = {};
+    MISSION_FIELDS.forEach(field => {
+        const value = mission[field];
+        if (value === undefined || value === null || value === '') return;
+        if (Array.isArray(value) && value.length === 0) return;
+        result[field] = value;
+    });
+    return result;
+}
+
+function normalizeCategories(categories) {
+    return categories.map(cat => ({
+        category: cat.category,
+        missions: cat.missions.map(normalizeMission)
+    }));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    // 1. 상태 변수 및 요소 선택
+    const DRAFT_KEY = 'yul_gj_editor_draft';
+    let categories = [];
+    let selected = null;      // { catIndex, missionIndex }
+    let imageStatus = {};     // 이미지 파일 존재 여부
+    let imageCheckTimer = null;
+
+    const versionInfo = document.getElementById('versionInfo');
+    const importText = document.getElementById('importText');
+    const importFile = document.getElementById('importFile');
+    const importCategory = document.getElementById('importCategory');
+    const importBtn = document.getElementById('importBtn');
+    const importResult = document.getElementById('importResult');
+    const categoryTree = document.getElementById('categoryTree');
+    const addCategoryBtn = document.getElementById('addCategoryBtn');
+    const missionForm = document.getElementById('missionForm');
+    const emptyEditor = document.getElementById('emptyEditor');
+    const previewArea = document.getElementById('previewArea');
+    const problemList = document.getElementById('problemList');
+    const problemSummary = document.getElementById('problemSummary');
+    const exportBtn = document.getElementById('exportBtn');
+    const reloadBtn = document.getElementById('reloadBtn');
+
+    // 2. 데이터 불러오기 (임시 저장본이 있으면 그것부터)
+    async function loadData() {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+        if (draft) {
+            categories = draft;
+        } else {
+            await loadFromServer();
+        }
+        versionInfo.textContent = `현재 v${MISSIONS_VERSION} → 내보내면 v${bumpVersion(MISSIONS_VERSION)}`;
+        renderAll();
+        scheduleImageCheck();
+    }
+
+    async function loadFromServer() {
+        try {
+            const response = await fetch(`missions.json?v=${MISSIONS_VERSION}`, { cache: 'no-cache' });
+            if (!response.ok) throw new Error('네트워크 응답 오류');
+            categories = await response.json();
+        } catch (error) {
+            alert('⚠️ missions.json을 불러오지 못했습니다. 빈 목록으로 시작합니다.');
+            categories = [];
+        }
+    }
+
+    function saveDraft() {
+        localStorage.setItem(DRAFT_KEY, JSON.stringify(categories));
+    }
+
+    function renderAll() {
+        renderImportCategories();
+        renderTree();
+        renderForm();
+        renderPreview();
+        renderProblems();
+    }
+
+    // 데이터가 바뀔 때마다 (목록, 미리보기, 검사, 임시 저장)
+    function onDataChanged() {
+        saveDraft();
+        renderTree();
+        renderPreview();
+        renderProblems();
+        scheduleImageCheck();
+    }
+
+    // 3. 이미지 파일 존재 확인 (입력이 멈추고 0.8초 뒤 한 번에)
+    function scheduleImageCheck() {
+        clearTimeout(imageCheckTimer);
+        imageCheckTimer = setTimeout(checkImages, 800);
+    }
+
+    async function checkImages() {
+        const images = [];
+        categories.forEach(cat => cat.missions.forEach(mission => {
+            getMissionImages(mission).forEach(image => {
+                if (!(image in imageStatus) && !images.includes(image)) images.push(image);
+            });
+        }));
+        if (images.length === 0) return;
+
+        for (const image of images) {
+            try {
+                const response = await fetch(image, { method: 'HEAD', cache: 'no-store' });
+                imageStatus[image] = response.ok;
+            } catch (error) {
+                imageStatus[image] = false;
+            }
+        }
+        renderProblems();
+        renderTree();
+    }
+
+    // 확장자가 없는 이미지 이름은 jpg/jpeg/png/webp 중 있는 파일로
+    async function resolveImageName(name) {
+        if (!name || /\.[a-z0-9]+$/i.test(name)) return name;
+        for (const ext of IMAGE_EXTENSIONS) {
+            try {
+                const response = await fetch(name + ext, { method: 'HEAD', cache: 'no-store' });
+                if (response.ok) return name + ext;
+            } catch (error) {
+                // 다음 확장자 시도
+            }
+        }
+        return name + IMAGE_EXTENSIONS[0];
+    }
+
+    // 4. 텍스트 가져오기
+    function renderImportCategories() {
+        const current = importCategory.value;
+        importCategory.innerHTML = '';
+        categories.forEach(cat => {
+            const option = document.createElement('option');
+            option.value = cat.category;
+            option.textContent = cat.category;
+            importCategory.appendChild(option);
+        });
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = '➕ 새 카테고리 (이름 입력)';
+        importCategory.appendChild(newOption);
+        if (current && categories.some(cat => cat.category === current)) importCategory.value = current;
+    }
+
+    importFile.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        if (file) importText.value = await file.text();
+    });
+
+    importBtn.addEventListener('click', async () => {
+        let defaultCategory = importCategory.value;
+        if (!defaultCategory) {
+            defaultCategory = (prompt('새 카테고리 이름을 입력하세요') || '').trim();
+            if (!defaultCategory) return;
+        }
+
+        const result = parseMissionText(importText.value, defaultCategory);
+        const messages = result.warnings.slice();
+        let added = 0;
+
+        for (const draft of result.drafts) {
+            const duplicate = categories.some(cat => cat.missions.some(m => m.title.trim() === draft.mission.title.trim()));
+            if (duplicate) {
+                messages.push(`'${draft.mission.title}': 같은 이름의 미션이 이미 있어 건너뛰었습니다.`);
+                continue;
+            }
+
+            let catIndex = categories.findIndex(cat => cat.category === draft.category);
+            if (catIndex === -1) {
+                categories.push({ category: draft.category, missions: [] });
+                catIndex = categories.length - 1;
+            }
+            draft.mission.id = createMissionId(categories, catIndex);
+            draft.mission.image_url = await resolveImageName(draft.mission.image_url);
+            categories[catIndex].missions.push(draft.mission);
+            added++;
+        }
+
+        importResult.innerHTML = '';
+        [`✅ ${added}개 미션을 가져왔습니다.`].concat(messages).forEach(message => {
+            const line = document.createElement('div');
+            line.textContent = message;
+            importResult.appendChild(line);
+        });
+
+        renderImportCategories();
+        onDataChanged();
+    });
+
+    // 5. 카테고리 / 미션 목록
+    function moveItem(list, index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= list.length) return false;
+        [list[index], list[target]] = [list[target], list[index]];
+        return true;
+    }
+
+    function renderTree() {
+        categoryTree.innerHTML = '';
+        const problems = validateMissions(categories, imageStatus);
+
+        categories.forEach((cat, catIndex) => {
+            const catDiv = document.createElement('div');
+            catDiv.className = 'editor-category';
+
+            const header = document.createElement('div');
+            header.className = 'editor-category-header';
+            header.innerHTML = `
+                <input type="text" class="text-input editor-category-name">
+                <button class="editor-icon-btn" data-action="up" title="위로">▲</button>
+                <button class="editor-icon-btn" data-action="down" title="아래로">▼</button>
+                <button class="editor-icon-btn" data-action="delete" title="삭제">🗑️</button>
+            `;
+            const nameInput = header.querySelector('.editor-category-name');
+            nameInput.value = cat.category;
+            nameInput.addEventListener('change', () => {
+                cat.category = nameInput.value.trim();
+                renderImportCategories();
+                onDataChanged();
+            });
+            header.addEventListener('click', (e) => {
+                const action = e.target.dataset.action;
+                if (!action) return;
+                if (action === 'delete') {
+                    if (!confirm(`'${cat.category}' 카테고리와 미션 ${cat.missions.length}개를 삭제할까요?`)) return;
+                    categories.splice(catIndex, 1);
+                    selected = null;
+                } else if (!moveItem(categories, catIndex, action === 'up' ? -1 : 1)) {
+                    return;
+                } else {
+                    selected = null;
+                }
+                renderAll();
+                onDataChanged();
+            });
+            catDiv.appendChild(header);
+
+            const list = document.createElement('ul');
+            list.className = 'editor-mission-list';
+            cat.missions.forEach((mission, missionIndex) => {
+                const item = document.createElement('li');
+                const isSelected = selected && selected.catIndex === catIndex && selected.missionIndex === missionIndex;
+                const level = problems.some(p => p.catIndex === catIndex && p.missionIndex === missionIndex && p.level === 'error') ? 'error'
+                    : problems.some(p => p.catIndex === catIndex && p.missionIndex === missionIndex) ? 'warning' : '';
+                item.className = `editor-mission ${isSelected ? 'selected' : ''} ${level}`;
+                item.innerHTML = `
+                    <span class="editor-mission-label"></span>
+                    <button class="editor-icon-btn" data-action="up">▲</button>
+                    <button class="editor-icon-btn" data-action="down">▼</button>
+                    <button class="editor-icon-btn" data-action="delete">🗑️</button>
+                `;
+                item.querySelector('.editor-mission-label').textContent =
+                    `${mission.id || '(id 없음)'} · ${MISSION_TYPES[mission.type] || mission.type} · ${mission.title || '(이름 없음)'}`;
+
+                item.addEventListener('click', (e) => {
+                    const action = e.target.dataset.action;
+                    if (action === 'delete') {
+                        if (!confirm(`'${mission.title}' 미션을 삭제할까요?`)) return;
+                        cat.missions.splice(missionIndex, 1);
+                        selected = null;
+                    } else if (action) {
+                        if (!moveItem(cat.missions, missionIndex, action === 'up' ? -1 : 1)) return;
+                        selected = { catIndex: catIndex, missionIndex: missionIndex + (action === 'up' ? -1 : 1) };
+                    } else {
+                        selected = { catIndex: catIndex, missionIndex: missionIndex };
+                        renderForm();
+                        renderPreview();
+                        renderTree();
+                        return;
+                    }
+                    renderForm();
+                    onDataChanged();
+                });
+                list.appendChild(item);
+            });
+            catDiv.appendChild(list);
+
+            const addBtn = document.createElement('button');
+            addBtn.className = 'editor-add-btn';
+            addBtn.textContent = '➕ 미션 추가';
+            addBtn.addEventListener('click', () => {
+                const mission = createDraftMission({ title: '새 미션' });
+                mission.id = createMissionId(categories, catIndex);
+                cat.missions.push(mission);
+                selected = { catIndex: catIndex, missionIndex: cat.missions.length - 1 };
+                renderForm();
+                onDataChanged();
+            });
+            catDiv.appendChild(addBtn);
+
+            categoryTree.appendChild(catDiv);
+        });
+    }
+
+    addCategoryBtn.addEventListener('click', () => {
+        const name = (prompt('새 카테고리 이름을 입력하세요') || '').trim();
+        if (!name) return;
+        categories.push({ category: name, missions: [] });
+        renderImportCategories();
+        onDataChanged();
+    });
+
+    // 6. 미션 편집 폼
+    function getSelectedMission() {
+        if (!selected) return null;
+        const cat = categories[selected.catIndex];
+        return cat ? cat.missions[selected.missionIndex] || null : null;
+    }
+
+    function renderForm() {
+        const mission = getSelectedMission();
+        missionForm.style.display = mission ? 'block' : 'none';
+        emptyEditor.style.display = mission ? 'none' : 'block';
+        if (!mission) return;
+
+        const lines = (list) => Array.isArray(list) ? list.join('\n') : '';
+        missionForm.elements.id.value = mission.id || '';
+        missionForm.elements.title.value = mission.title || '';
+        missionForm.elements.type.value = mission.type || 'quiz';
+        missionForm.elements.description.value = mission.description || '';
+        missionForm.elements.answer.value = typeof mission.answer === 'boolean' ? '' : (mission.answer || '');
+        missionForm.elements.truefalse.value = mission.answer === false ? 'false' : 'true';
+        missionForm.elements.answers.value = (mission.answers || []).join(', ');
+        missionForm.elements.choices.value = lines(mission.choices);
+        missionForm.elements.items.value = lines(mission.items);
+        missionForm.elements.point.value = mission.point || '';
+        missionForm.elements.image_url.value = mission.image_url || '';
+        missionForm.elements.heritage_type.value = mission.heritage_type || '';
+        missionForm.elements.description_detail.value = mission.description_detail || '';
+        missionForm.elements.lat.value = mission.lat ?? '';
+        missionForm.elements.lng.value = mission.lng ?? '';
+        missionForm.elements.radius.value = mission.radius ?? '';
+        updateTypeFields(mission.type);
+    }
+
+    // 미션 종류에 맞는 입력 칸만 보이기
+    function updateTypeFields(type) {
+        missionForm.querySelectorAll('[data-types]').forEach(row => {
+            row.style.display = row.dataset.types.split(' ').includes(type) ? '' : 'none';
+        });
+    }
+
+    const toList = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+    const toNumber = (text) => text.trim() === '' ? undefined : Number(text);
+
+    missionForm.addEventListener('input', () => {
+        const mission = getSelectedMission();
+        if (!mission) return;
+        const f = missionForm.elements;
+
+        mission.id = f.id.value.trim();
+        mission.title = f.title.value;
+        mission.type = f.type.value;
+        mission.description = f.description.value;
+        mission.answer = mission.type === 'truefalse' ? f.truefalse.value === 'true' : f.answer.value.trim();
+        mission.answers = f.answers.value.split(',').map(a => a.trim()).filter(Boolean);
+        mission.choices = toList(f.choices.value);
+        mission.items = toList(f.items.value);
+        mission.point = parseInt(f.point.value, 10) || 0;
+        mission.image_url = f.image_url.value.trim();
+        mission.heritage_type = f.heritage_type.value;
+        mission.description_detail = f.description_detail.value;
+        mission.lat = toNumber(f.lat.value);
+        mission.lng = toNumber(f.lng.value);
+        mission.radius = toNumber(f.radius.value);
+
+        // 순서 미션은 완료 화면에 보일 정답 문구를 자동으로
+        if (mission.type === 'order') mission.answer = mission.items.join(' → ');
+
+        updateTypeFields(mission.type);
+        onDataChanged();
+    });
+
+    // 7. 실시간 미리보기 (앱의 도감 카드 + 문제 모양)
+    function renderPreview() {
+        const mission = getSelectedMission();
+        previewArea.innerHTML = '';
+        if (!mission) return;
+
+        const card = document.createElement('div');
+        card.className = 'treasure-card locked editor-preview-card';
+        card.innerHTML = `
+            <div class="card-image-wrapper">
+                <img class="card-image" alt="">
+            </div>
+            <div class="card-info">
+                <span class="card-category"></span>
+                <h3 class="card-title"></h3>
+                <div class="card-meta">
+                    <span class="card-point"></span>
+                    <span class="card-type"></span>
+                </div>
+            </div>
+        `;
+        card.querySelector('.card-image').src = mission.image_url || '';
+        card.querySelector('.card-category').textContent = categories[selected.catIndex].category;
+        card.querySelector('.card-title').textContent = mission.title;
+        card.querySelector('.card-point').textContent = `⚡ ${mission.point} GP`;
+        card.querySelector('.card-type').textContent = MISSION_TYPES[mission.type] || mission.type;
+        previewArea.appendChild(card);
+
+        const question = document.createElement('div');
+        question.className = 'editor-preview-question';
+        const description = document.createElement('p');
+        description.className = 'modal-description';
+        description.textContent = mission.description || '(미션 설명을 입력하세요)';
+        question.appendChild(description);
+
+        const answer = document.createElement('div');
+        answer.className = 'editor-preview-answer';
+        if (mission.type === 'choice') {
+            answer.textContent = `보기: ${(mission.choices || []).join(' / ')}  ·  정답: ${mission.answer}`;
+        } else if (mission.type === 'order') {
+            answer.textContent = `정답 순서: ${(mission.items || []).join(' → ')}`;
+        } else if (mission.type === 'image_pick') {
+            (mission.choices || []).forEach(image => {
+                const img = document.createElement('img');
+                img.src = image;
+                img.className = image === mission.answer ? 'answer' : '';
+                answer.appendChild(img);
+            });
+        } else if (mission.type === 'truefalse') {
+            answer.textContent = `정답: ${mission.answer === false ? 'X' : 'O'}`;
+        } else if (mission.type === 'quiz') {
+            const alternates = (mission.answers || []).length ? ` (또는 ${mission.answers.join(', ')})` : '';
+            answer.textContent = `정답: ${mission.answer}${alternates}`;
+        }
+        question.appendChild(answer);
+        previewArea.appendChild(question);
+    }
+
+    // 8. 검사 결과
+    function renderProblems() {
+        const problems = validateMissions(categories, imageStatus);
+        const errorCount = problems.filter(p => p.level === 'error').length;
+        const warningCount = problems.length - errorCount;
+        let missionCount = 0;
+        categories.forEach(cat => { missionCount += cat.missions.length; });
+
+        problemSummary.textContent = `카테고리 ${categories.length}개 · 미션 ${missionCount}개 · ❌ 오류 ${errorCount} · ⚠️ 주의 ${warningCount}`;
+        problemList.innerHTML = '';
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = `editor-problem ${problem.level}`;
+            item.textContent = `${problem.level === 'error' ? '❌' : '⚠️'} ${problem.message}`;
+            if (problem.missionIndex !== null) {
+                item.addEventListener('click', () => {
+                    selected = { catIndex: problem.catIndex, missionIndex: problem.missionIndex };
+                    renderForm();
+                    renderPreview();
+                    renderTree();
+                });
+            }
+            problemList.appendChild(item);
+        });
+    }
+
+    // 9. 내보내기 (missions.json + 새 버전의 missions_version.js)
+    function download(fileName, text, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([text], { type: type }));
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
+    exportBtn.addEventListener('click', async () => {
+        await checkImages();
+        const errors = validateMissions(categories, imageStatus).filter(p => p.level === 'error');
+        if (errors.length > 0 && !confirm(`❌ 오류가 ${errors.length}개 있습니다. 그래도 내보낼까요?`)) return;
+
+        const nextVersion = bumpVersion(MISSIONS_VERSION);
+        download('missions.json', JSON.stringify(normalizeCategories(categories), null, 2), 'application/json');
+
+        const versionFile = await (await fetch('missions_version.js', { cache: 'no-cache' })).text();
+        download('missions_version.js',
+            versionFile.replace(/const MISSIONS_VERSION = '[^']*';/, `const MISSIONS_VERSION = '${nextVersion}';`),
+            'text/javascript');
+
+        alert(`💾 v${nextVersion}으로 내보냈습니다.\nmissions.json과 missions_version.js를 Yul_GJ 폴더에 덮어쓰세요.`);
+    });
+
+    reloadBtn.addEventListener('click', async () => {
+        if (!confirm('편집한 내용을 버리고 서버의 missions.json을 다시 불러올까요?')) return;
+        localStorage.removeItem(DRAFT_KEY);
+        selected = null;
+        imageStatus = {};
+        await loadFromServer();
+        renderAll();
+        scheduleImageCheck();
+    });
+
+    loadData();
+});
@@ -0,0 +1,128 @@
+/* ==========================================================================
+   신라 타임머신 경주여행 - 위치 확인 (geofence.js)
+   missions.json의 lat/lng/radius(미터)가 있는 발견 미션은 그 반경 안에서만 완료할 수 있습니다.
+   계산 함수는 화면과 분리되어 있어 가짜 위치로 확인할 수 있습니다.
+     예) checkGeofence({ lat: 35.8347, lng: 129.2191 }, mission)
+         index.html?mockLocation=35.8347,129.2191 (실제 GPS 대신 고정 위치 사용)
+   ========================================================================== */
+
+const GEOFENCE_DEFAULT_RADIUS = 100;   // radius가 없을 때 (미터)
+const GEOFENCE_MAX_ACCURACY_BONUS = 50; // GPS 오차를 반경에 더해주는 최대값 (미터)
+const EARTH_RADIUS_METERS = 6371000;
+
+function hasGeofence(mission) {
+    return typeof mission.lat === 'number' && typeof mission.lng === 'number';
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// 두 좌표 사이 거리 (하버사인 공식, 미터)
+function getDistanceMeters(from, to) {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) *
+        Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// from에서 to를 바라보는 방위각 (0 = 북쪽, 90 = 동쪽)
+function getBearingDegrees(from, to) {
+    const lat1 = toRadians(from.lat);
+    const lat2 = toRadians(to.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+function getCompassDirection(bearing) {
+    const directions = ['북', '북동', '동', '남동', '남', '남서', '서', '북서'];
+    return directions[Math.round(bearing / 45) % 8];
+}
+
+function formatDistance(meters) {
+    if (meters >= 1000) return `${(meters / 1000).toFixed(1)}km`;
+    return `${Math.round(meters)}m`;
+}
+
+/**
+ * 현재 위치가 미션 반경 안인지 계산합니다.
+ * position: { lat, lng, accuracy? } (accuracy는 GPS 오차 반경, 미터)
+ * 반환: { inside, distance, remaining, bearing, direction }
+ */
+function checkGeofence(position, mission) {
+    const target = { lat: mission.lat, lng: mission.lng };
+    const radius = mission.radius || GEOFENCE_DEFAULT_RADIUS;
+    const accuracyBonus = Math.min(position.accuracy || 0, GEOFENCE_MAX_ACCURACY_BONUS);
+    const distance = getDistanceMeters(position, target);
+    const bearing = getBearingDegrees(position, target);
+
+    return {
+        inside: distance <= radius + accuracyBonus,
+        distance: distance,
+        remaining: Math.max(0, distance - radius),
+        bearing: bearing,
+        direction: getCompassDirection(bearing)
+    };
+}
+
+// 항상 같은 위치를 돌려주는 가짜 Geolocation (navigator.geolocation과 같은 모양)
+function createMockGeolocation(lat, lng, accuracy = 5) {
+    const position = () => ({
+        coords: { latitude: lat, longitude: lng, accuracy: accuracy },
+        timestamp: Date.now()
+    });
+    return {
+        getCurrentPosition(success) {
+            setTimeout(() => success(position()), 0);
+        },
+        watchPosition(success) {
+            return setTimeout(() => success(position()), 0);
+        },
+        clearWatch(id) {
+            clearTimeout(id);
+        }
+    };
+}
+
+// 주소에 ?mockLocation=위도,경도 가 있으면 가짜 위치, 없으면 기기 GPS
+function getGeolocation(search = window.location.search) {
+    const mock = new URLSearchParams(search).get('mockLocation');
+    if (mock) {
+        const [lat, lng] = mock.split(',').map(Number);
+        if (!isNaN(lat) && !isNaN(lng)) return createMockGeolocation(lat, lng);
+    }
+    return navigator.geolocation || null;
+}
+
+/**
+ * 위치가 바뀔 때마다 onUpdate(checkGeofence 결과)를 호출합니다.
+ * 위치를 쓸 수 없으면 onError(message)를 호출합니다.
+ * 반환값(함수)을 호출하면 위치 추적을 멈춥니다.
+ */
+function watchGeofence(mission, onUpdate, onError, geolocation = getGeolocation()) {
+    if (!geolocation) {
+        onError('이 기기에서는 위치를 확인할 수 없어요.');
+        return () => { };
+    }
+
+    const watchId = geolocation.watchPosition(
+        (pos) => {
+            onUpdate(checkGeofence({
+                lat: pos.coords.latitude,
+                lng: pos.coords.longitude,
+                accuracy: pos.coords.accuracy
+            }, mission));
+        },
+        (error) => {
+            if (error.code === 1) onError('위치 권한이 꺼져 있어요. 브라우저 설정에서 위치를 허용해 주세요.');
+            else onError('위치를 찾지 못했어요. 하늘이 보이는 곳에서 다시 시도해 보세요.');
+        },
+        { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+    );
+
+    return () => geolocation.clearWatch(watchId);
+}
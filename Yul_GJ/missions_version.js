@@ -0,0 +1,7 @@
+/* ==========================================================================
+   신라 타임머신 경주여행 - 미션 데이터 버전 (missions_version.js)
+   loadMissions()가 missions.json?v=버전 으로 불러와 예전 데이터 캐시를 피합니다.
+   미션 편집기(editor.html)에서 missions.json을 내보낼 때 이 파일도 함께 새 버전으로 내려받습니다.
+   ========================================================================== */
+
+const MISSIONS_VERSION = '1.6';
@@ -0,0 +1,74 @@
+/* ==========================================================================
+   율이의 타임머신 여행 - 여행 여권 (passport.js)
+   모든 미션을 끝낸 여행마다 찍힌 도장(trips.js의 loadPassport)과 날짜, 총 GP를 보여줍니다.
+   ========================================================================== */
+
+document.addEventListener('DOMContentLoaded', () => {
+    const passportSummary = document.getElementById('passportSummary');
+    const passportTotal = document.getElementById('passportTotal');
+    const stampList = document.getElementById('stampList');
+
+    function formatDate(isoString) {
+        if (!isoString) return '';
+        return new Date(isoString).toLocaleDateString('ko-KR', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    function formatPeriod(stamp) {
+        const start = formatDate(stamp.startedAt);
+        const end = formatDate(stamp.completedAt);
+        return start === end ? end : `${start} ~ ${end}`;
+    }
+
+    function createStampCard(stamp) {
+        const card = document.createElement('div');
+        card.className = 'passport-stamp';
+        card.innerHTML = `
+            <div class="passport-stamp-seal">${stamp.emoji || '🛂'}</div>
+            <div class="passport-stamp-info">
+                <strong></strong>
+                <span class="passport-stamp-place"></span>
+                <span class="passport-stamp-date">📅 ${formatPeriod(stamp)}</span>
+                <span class="passport-stamp-gp">⚡ ${stamp.totalGP} GP · 미션 ${stamp.missionCount}개</span>
+            </div>
+        `;
+        card.querySelector('strong').textContent = stamp.title;
+        card.querySelector('.passport-stamp-place').textContent = stamp.subtitle || '';
+        return card;
+    }
+
+    // 아직 도장이 없는 여행 (진행 중이면 완료한 미션 수 표시)
+    function createEmptyCard(trip) {
+        const doneCount = loadCompletedMissions(trip).length;
+        const card = document.createElement('div');
+        card.className = 'passport-stamp empty';
+        card.innerHTML = `
+            <div class="passport-stamp-seal">${trip.emoji}</div>
+            <div class="passport-stamp-info">
+                <strong></strong>
+                <span class="passport-stamp-place"></span>
+                <span class="passport-stamp-date">${doneCount > 0 ? `🧭 탐험 중 (${doneCount}개 미션 완료)` : '아직 떠나지 않은 여행'}</span>
+            </div>
+        `;
+        card.querySelector('strong').textContent = trip.title;
+        card.querySelector('.passport-stamp-place').textContent = trip.subtitle || '';
+        return card;
+    }
+
+    async function renderPassport() {
+        const trips = await loadTrips();
+        const passport = loadPassport();
+
+        // 최근에 끝낸 여행부터, 목록에서 빠진 여행의 도장도 그대로 보여준다
+        const stamps = Object.values(passport).sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+        const totalGP = stamps.reduce((sum, stamp) => sum + (stamp.totalGP || 0), 0);
+
+        passportSummary.textContent = `도장 ${stamps.length}개 / 여행 ${trips.length}곳`;
+        passportTotal.innerHTML = `${totalGP} <span class="gp-unit">GP</span>`;
+
+        stampList.innerHTML = '';
+        stamps.forEach(stamp => stampList.appendChild(createStampCard(stamp)));
+        trips.filter(trip => !passport[trip.id]).forEach(trip => stampList.appendChild(createEmptyCard(trip)));
+    }
+
+    renderPassport();
+});
@@ -0,0 +1,193 @@
+/* ==========================================================================
+   신라 타임머신 경주여행 - 인증샷 저장소 (photo_store.js)
+   인증샷은 크기를 줄여 IndexedDB에 Blob으로 저장하고 미션 id로 연결합니다.
+   (localStorage는 5MB 제한이 있어 사진 몇 장이면 저장이 실패함)
+   ========================================================================== */
+
+const PHOTO_MAX_SIZE = 1280;   // 긴 변 최대 픽셀
+const PHOTO_QUALITY = 0.8;     // JPEG 품질
+
+class PhotoStore {
+    constructor(dbName = 'yul_gj_photos', storeName = 'photos') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    init() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onerror = (event) => {
+                console.error('PhotoStore DB error:', event.target.error);
+                reject(event.target.error);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'missionId' });
+                }
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                resolve(this.db);
+            };
+        });
+    }
+
+    // objectStore 요청 하나를 Promise로 실행
+    async request(mode, run) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], mode);
+            const request = run(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // 미션 하나에 사진 하나 (다시 찍으면 덮어씀)
+    save(missionId, blob) {
+        return this.request('readwrite', store => store.put({
+            missionId: missionId,
+            blob: blob,
+            savedAt: new Date().toISOString()
+        }));
+    }
+
+    get(missionId) {
+        return this.request('readonly', store => store.get(missionId));
+    }
+
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    remove(missionId) {
+        return this.request('readwrite', store => store.delete(missionId));
+    }
+
+    clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+
+    /**
+     * 사진 파일(또는 Blob)을 긴 변 PHOTO_MAX_SIZE 이하의 JPEG Blob으로 줄입니다.
+     * 이미 작은 사진도 JPEG로 다시 저장해 용량을 맞춥니다.
+     */
+    static async resizeImage(file, maxSize = PHOTO_MAX_SIZE, quality = PHOTO_QUALITY) {
+        const url = URL.createObjectURL(file);
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('사진을 읽을 수 없습니다.'));
+                image.src = url;
+            });
+
+            const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.naturalWidth * scale);
+            canvas.height = Math.round(img.naturalHeight * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            return await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => {
+                    if (blob) resolve(blob);
+                    else reject(new Error('사진 변환에 실패했습니다.'));
+                }, 'image/jpeg', quality);
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+}
+
+/* --------------------------------------------------------------------------
+   앨범 내보내기용 ZIP 생성 (압축 없이 저장 방식, 외부 라이브러리 없음)
+   files: [{ name: '01_첨성대.jpg', blob: Blob }]
+   -------------------------------------------------------------------------- */
+const ZIP_CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function zipCrc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ZIP_CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function createZipBlob(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    let centralSize = 0;
+
+    for (const file of files) {
+        const data = new Uint8Array(await file.blob.arrayBuffer());
+        const name = encoder.encode(file.name);
+        const crc = zipCrc32(data);
+
+        // 로컬 파일 헤더 (0x0800: 파일 이름이 UTF-8)
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 0, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(local, name, data);
+
+        // 중앙 디렉터리 항목
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(central, name);
+
+        offset += 30 + name.length + data.length;
+        centralSize += 46 + name.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
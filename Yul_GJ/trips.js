@@ -0,0 +1,95 @@
+/* ==========================================================================
+   율이의 타임머신 여행 - 여행(미션팩) 목록과 여행 여권 (trips.js)
+   trips.json에 여행마다 미션 파일과 저장 이름(namespace)을 적어 둡니다.
+   진행 기록, 인증샷, 여행팩은 namespace별로 따로 저장되어 서로 섞이지 않습니다.
+     예) namespace 'yul_gj' → localStorage 'yul_gj_completed_missions', IndexedDB 'yul_gj_photos'
+   app.js와 passport.js가 함께 사용합니다.
+   ========================================================================== */
+
+const TRIPS_URL = 'trips.json';
+const CURRENT_TRIP_KEY = 'yul_trip_current';
+const PASSPORT_KEY = 'yul_trip_passport';
+
+// trips.json을 못 받을 때 쓰는 기본 여행 (경주는 예전 저장 이름 그대로)
+const DEFAULT_TRIPS = [
+    {
+        id: 'gyeongju',
+        namespace: 'yul_gj',
+        title: '조율이와 함께 신라 속으로!',
+        subtitle: '경주국립박물관',
+        emoji: '⏳',
+        missions_url: 'missions.json',
+        map: {
+            image: 'gyeongju_map.svg',
+            bounds: { west: 129.200, east: 129.300, north: 35.856, south: 35.820 }
+        },
+        confetti: ['👑', '✨', '🏺', '🔔', '⭐']
+    }
+];
+
+async function loadTrips() {
+    try {
+        const response = await fetch(`${TRIPS_URL}?v=${MISSIONS_VERSION}`);
+        if (!response.ok) throw new Error('네트워크 응답 오류');
+        return await response.json();
+    } catch (error) {
+        // 서비스워커 없이 오프라인이면 여행팩에 받아둔 목록을 찾아본다
+        if ('caches' in window) {
+            const cached = await caches.match(TRIPS_URL, { ignoreSearch: true }).catch(() => null);
+            if (cached) return cached.json();
+        }
+        console.warn('trips.json 로드 실패. 기본 여행을 사용합니다.', error);
+        return DEFAULT_TRIPS;
+    }
+}
+
+// 저장해 둔 여행 (없거나 목록에서 빠졌으면 첫 번째 여행)
+function findCurrentTrip(trips) {
+    const savedId = localStorage.getItem(CURRENT_TRIP_KEY);
+    return trips.find(trip => trip.id === savedId) || trips[0];
+}
+
+function getTripKeys(trip) {
+    return {
+        completed: `${trip.namespace}_completed_missions`,
+        tripPack: `${trip.namespace}_trip_pack`,
+        photos: `${trip.namespace}_photos`,
+        pointsBackfilled: `${trip.namespace}_points_backfilled`, // 포인트 장부 이전에 깬 미션 적립 여부
+        // 서비스워커는 'yul-apps-'로 시작하는 캐시만 정리하므로 여행팩 캐시는 버전이 바뀌어도 유지된다
+        cache: `${trip.namespace.replace(/_/g, '-')}-trip-pack`
+    };
+}
+
+function getTripMissionsUrl(trip) {
+    return `${trip.missions_url}?v=${MISSIONS_VERSION}`; // missions_version.js
+}
+
+function loadCompletedMissions(trip) {
+    return JSON.parse(localStorage.getItem(getTripKeys(trip).completed)) || [];
+}
+
+/* --------------------------------------------------------------------------
+   여행 여권: 모든 미션을 끝낸 여행마다 도장 하나
+   { [tripId]: { id, title, subtitle, emoji, startedAt, completedAt, totalGP, missionCount } }
+   -------------------------------------------------------------------------- */
+function loadPassport() {
+    return JSON.parse(localStorage.getItem(PASSPORT_KEY)) || {};
+}
+
+function savePassportStamp(trip, stamp) {
+    const passport = loadPassport();
+    passport[trip.id] = {
+        id: trip.id,
+        title: trip.title,
+        subtitle: trip.subtitle,
+        emoji: trip.emoji,
+        ...stamp
+    };
+    localStorage.setItem(PASSPORT_KEY, JSON.stringify(passport));
+}
+
+function removePassportStamp(tripId) {
+    const passport = loadPassport();
+    delete passport[tripId];
+    localStorage.setItem(PASSPORT_KEY, JSON.stringify(passport));
+}
@@ -356,6 +356,7 @@ class BookReader {
 
     // Update progress
     this.updateReadProgress(index);
+    this.recordReadDay();
     this.saveProgress();
   }
 
@@ -750,9 +751,23 @@ class BookReader {
   }
 
   saveProgress() {
+    // 부모님 리포트(report.html)가 책 제목과 전체 분량을 알 수 있도록 함께 저장
+    this.progress.title = this.bookData.title;
+    this.progress.totalSentences = this.bookData.story.length;
+    this.progress.totalWords = this.bookData.vocabulary.length;
     localStorage.setItem(`book_progress_${this.bookData.id}`, JSON.stringify(this.progress));
   }
 
+  // 책을 읽은 날 기록 (한국 시간 YYYY-MM-DD, 최근 90일)
+  recordReadDay() {
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Seoul' });
+    const readDays = this.progress.readDays || [];
+    if (!readDays.includes(today)) {
+      readDays.push(today);
+    }
+    this.progress.readDays = readDays.slice(-90);
+  }
+
   updateProgress() {
     this.updateReadProgress(this.progress.lastReadSentence || 0);
   }
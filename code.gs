@@ -1,207 +1,364 @@
 // ========================================
 // Yul Apps - Google Apps Script
-// 자전거 + 줄넘기 + 영어퀴즈 통합 API
+// 자전거 + 줄넘기 + 영어퀴즈 + 구구단 + 포인트 장부 통합 API
 // ========================================
 
 var SPREADSHEET_ID = '1qVPTPL1aWV2izwRHm9Go0WztI3is9ibIjgJallVDlzI';
 
+// ========================================
+// 액션 라우터
+// ========================================
+// 모든 엔드포인트는 이름으로 등록한다. 핸들러는 e.parameter를 받아
+// 응답 data 객체를 반환하고, 실패 시 Error를 던진다.
+// 응답 형식: { success: true/false, data: {...} | null, error: null | '메시지' }
+
+var GET_ACTIONS = {
+  bike: function (params) {
+    return getBikeMaxSpeed();
+  },
+  getBike: function (params) {
+    return getBikeData();
+  },
+  getJumprope: function (params) {
+    return getJumpropeData();
+  },
+  getEnglishQuiz: function (params) {
+    return getEnglishQuizData();
+  },
+  getTodayStats: function (params) {
+    return getTodayStats(params.date);
+  },
+  getStatsHistory: function (params) {
+    return getStatsHistory(params.from, params.to);
+  },
+  getPoints: function (params) {
+    return getPointsData();
+  },
+  getGugudanMastery: function (params) {
+    return getGugudanMastery();
+  }
+};
+
+var POST_ACTIONS = {
+  bike: function (params) {
+    return saveBikeRecord(params);
+  },
+  jumprope: function (params) {
+    return saveJumpropeRecord(params);
+  },
+  jumpropeUpdate: function (params) {
+    return updateJumpropeRecord(params);
+  },
+  jumpropeDelete: function (params) {
+    return deleteJumpropeRecord(params);
+  },
+  jumpropeChallengeSave: function (params) {
+    return saveJumpropeChallenge(params.data);
+  },
+  jumpropeChallengeDelete: function (params) {
+    return deleteJumpropeChallenge(params);
+  },
+  englishQuiz_addReview: function (params) {
+    return addToReviewList(SpreadsheetApp.openById(SPREADSHEET_ID), params.data);
+  },
+  englishQuiz_updateReview: function (params) {
+    return updateReviewItem(SpreadsheetApp.openById(SPREADSHEET_ID), params.data);
+  },
+  englishQuiz_moveMastered: function (params) {
+    return moveToMastered(SpreadsheetApp.openById(SPREADSHEET_ID), params.data);
+  },
+  englishQuiz_updateMastered: function (params) {
+    return updateMasteredItem(SpreadsheetApp.openById(SPREADSHEET_ID), params.data);
+  },
+  englishQuiz_demoteMastered: function (params) {
+    return demoteMastered(SpreadsheetApp.openById(SPREADSHEET_ID), params.data);
+  },
+  englishQuiz_saveWords: function (params) {
+    return saveWords(params.data);
+  },
+  englishQuiz_deleteWord: function (params) {
+    return deleteWord(params.data);
+  },
+  saveTodayStats: function (params) {
+    return saveTodayStats(params.data);
+  },
+  pointsCredit: function (params) {
+    return creditPoints(params);
+  },
+  gugudanMasterySave: function (params) {
+    return saveGugudanMastery(params.data);
+  }
+};
+
 function doGet(e) {
-  try {
-    var action = e.parameter.action || 'bike';
-    
-    if (action === 'getJumprope') {
-      return getJumpropeData();
-    } else if (action === 'getEnglishQuiz') {
-      return getEnglishQuizData();
-    } else {
-      // 기존 자전거 최고 속도 API
-      return getBikeMaxSpeed();
+  return routeAction(GET_ACTIONS, e);
+}
+
+function doPost(e) {
+  return routeAction(POST_ACTIONS, e);
+}
+
+function routeAction(table, e) {
+  var params = (e && e.parameter) || {};
+  var action = params.action;
+
+  if (!action) {
+    return jsonResponse(false, null, 'action이 없습니다');
+  }
+  if (!table.hasOwnProperty(action)) {
+    return jsonResponse(false, null, 'Unknown action: ' + action);
+  }
+
+  // 오프라인 큐(sync_queue.js)의 재전송은 clientId로 중복 처리한다
+  // 같은 요청이 동시에 두 번 와도 한 번만 실행되도록 확인-실행-기록을 잠금 안에서 한다
+  var clientId = params.clientId;
+  if (clientId) {
+    try {
+      return withScriptLock(function () {
+        var processed = getProcessedResponse(clientId);
+        if (processed) {
+          return ContentService
+            .createTextOutput(processed)
+            .setMimeType(ContentService.MimeType.JSON);
+        }
+
+        var body = runAction(table, action, params);
+        if (body.success) {
+          saveProcessedResponse(clientId, body);
+        }
+        return jsonResponse(body.success, body.data, body.error, body.retry);
+      });
+    } catch (error) {
+      // 잠금을 기다리다 시간이 지나도 HTML 오류 페이지 대신 JSON으로 알린다
+      var failed = errorBody(error);
+      return jsonResponse(failed.success, failed.data, failed.error, failed.retry);
     }
-  } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: false, error: error.toString() }))
-      .setMimeType(ContentService.MimeType.JSON);
   }
+
+  var body = runAction(table, action, params);
+  return jsonResponse(body.success, body.data, body.error, body.retry);
 }
 
-function doPost(e) {
+function runAction(table, action, params) {
   try {
-    var action = e.parameter.action || 'bike';
-    
-    if (action === 'jumprope') {
-      return saveJumpropeRecord(e);
-    } else if (action.startsWith('englishQuiz_')) {
-      return handleEnglishQuizPost(action, e.parameter.data);
-    } else {
-      // 기존 자전거 기록 API
-      return saveBikeRecord(e);
-    }
+    return { success: true, data: table[action](params) || {}, error: null };
   } catch (error) {
-    return ContentService
-      .createTextOutput('ERROR: ' + error.toString())
-      .setMimeType(ContentService.MimeType.TEXT);
+    return errorBody(error);
   }
 }
 
+// retry: 요청은 맞지만 서버가 바빠 처리하지 못함 (sync_queue.js가 나중에 다시 보낸다)
+function errorBody(error) {
+  return { success: false, data: null, error: error.message || error.toString(), retry: !!error.retryable };
+}
+
+function jsonResponse(success, data, error, retry) {
+  var body = { success: success, data: data, error: error };
+  if (retry) body.retry = true;
+  return ContentService
+    .createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// 처리한 요청의 응답을 6시간 보관 (CacheService 최대 보관 시간)
+function getProcessedResponse(clientId) {
+  return CacheService.getScriptCache().get('client_' + clientId);
+}
+
+function saveProcessedResponse(clientId, body) {
+  var text = JSON.stringify(body);
+  // 캐시 값은 100KB 제한이 있으므로 큰 응답은 중복 표시만 남긴다
+  if (text.length > 90000) {
+    text = JSON.stringify({ success: true, data: null, error: null, duplicate: true });
+  }
+  CacheService.getScriptCache().put('client_' + clientId, text, 21600);
+}
+
+// 시트 셀 값(Date 또는 문자열)을 yyyy-MM-dd로 통일
+function toDateString(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, 'Asia/Seoul', 'yyyy-MM-dd');
+  }
+  return String(value).substring(0, 10);
+}
+
 // ========================================
-// 영어 퀴즈 관련 함수 (NEW!)
+// 영어 퀴즈 관련 함수
 // ========================================
 
+// 단어별 복습 일정 (SM-2): ease = 쉬움 정도, interval = 다음 복습까지 일수, lapses = 잊어버린 횟수
+// 예전 시트(A~E / A~B 열만 있음)도 읽을 때 헤더를 늘려 그대로 쓴다
+var REVIEW_HEADERS = ['word', 'status', 'nextReviewDate', 'streak', 'addedDate', 'ease', 'interval', 'lapses', 'lastReviewDate'];
+// addedDate(처음 퀴즈에 나온 날)는 완벽숙지로 옮기거나 되돌려도 그대로 따라간다
+var MASTERED_HEADERS = ['word', 'masteredDate', 'ease', 'interval', 'nextReviewDate', 'lapses', 'lastReviewDate', 'streak', 'addedDate'];
+
+// 단어뱅크: book/unit/level은 단어 관리 화면의 태그 (퀴즈에서 골라 풀 수 있음)
+var WORDBANK_HEADERS = ['word', 'meaning', 'example', 'pos', 'book', 'unit', 'level', 'addedDate'];
+
+function getSheetWithHeaders(ss, name, headers) {
+  var sheet = ss.getSheetByName(name);
+  if (!sheet) {
+    sheet = ss.insertSheet(name);
+    sheet.appendRow(headers);
+    return sheet;
+  }
+
+  var current = sheet.getRange(1, 1, 1, headers.length).getValues()[0];
+  if (current.join('|') !== headers.join('|')) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  }
+  return sheet;
+}
+
+function getWordBankSheet(ss) {
+  return getSheetWithHeaders(ss, '단어뱅크', WORDBANK_HEADERS);
+}
+
+function getReviewSheet(ss) {
+  return getSheetWithHeaders(ss, '복습문제', REVIEW_HEADERS);
+}
+
+function getMasteredSheet(ss) {
+  return getSheetWithHeaders(ss, '완벽숙지', MASTERED_HEADERS);
+}
+
+// 빈 칸은 undefined로 두어 클라이언트가 기본값(streak으로 추정)을 쓰게 한다
+function toNumberOrUndefined(value) {
+  if (value === '' || value === null || value === undefined) return undefined;
+  var number = parseFloat(value);
+  return isNaN(number) ? undefined : number;
+}
+
+function findWordRow(values, word) {
+  for (var i = 1; i < values.length; i++) {
+    if (values[i][0] === word) return i;
+  }
+  return -1;
+}
+
 function getEnglishQuizData() {
   var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-  
-  try {
-    // 단어뱅크 시트
-    var wordBankSheet = ss.getSheetByName('단어뱅크');
-    if (!wordBankSheet) {
-      wordBankSheet = ss.insertSheet('단어뱅크');
-      wordBankSheet.getRange('A1:B1').setValues([['word', 'meaning']]);
-    }
-    
-    // 복습문제 시트
-    var reviewSheet = ss.getSheetByName('복습문제');
-    if (!reviewSheet) {
-      reviewSheet = ss.insertSheet('복습문제');
-      reviewSheet.getRange('A1:E1').setValues([['word', 'status', 'nextReviewDate', 'streak', 'addedDate']]);
-    }
-    
-    // 완벽숙지 시트
-    var masteredSheet = ss.getSheetByName('완벽숙지');
-    if (!masteredSheet) {
-      masteredSheet = ss.insertSheet('완벽숙지');
-      masteredSheet.getRange('A1:B1').setValues([['word', 'masteredDate']]);
-    }
-    
-    // 데이터 읽기
-    var wordBankData = wordBankSheet.getDataRange().getValues();
-    var reviewData = reviewSheet.getDataRange().getValues();
-    var masteredData = masteredSheet.getDataRange().getValues();
-    
-    // 단어뱅크 (헤더 제외)
-    var wordBank = [];
-    for (var i = 1; i < wordBankData.length; i++) {
-      if (wordBankData[i][0]) {
-        wordBank.push({
-          word: wordBankData[i][0],
-          meaning: wordBankData[i][1]
-        });
-      }
-    }
-    
-    // 복습문제 리스트 (헤더 제외)
-    var reviewList = [];
-    for (var i = 1; i < reviewData.length; i++) {
-      if (reviewData[i][0]) {
-        reviewList.push({
-          word: reviewData[i][0],
-          status: reviewData[i][1],
-          nextReviewDate: reviewData[i][2],
-          streak: reviewData[i][3] || 0,
-          addedDate: reviewData[i][4]
-        });
-      }
+
+  // 단어뱅크 / 복습문제 / 완벽숙지 시트
+  var wordBankSheet = getWordBankSheet(ss);
+  var reviewSheet = getReviewSheet(ss);
+  var masteredSheet = getMasteredSheet(ss);
+
+  // 데이터 읽기
+  var wordBankData = wordBankSheet.getDataRange().getValues();
+  var reviewData = reviewSheet.getDataRange().getValues();
+  var masteredData = masteredSheet.getDataRange().getValues();
+
+  // 단어뱅크 (헤더 제외)
+  var wordBank = [];
+  for (var i = 1; i < wordBankData.length; i++) {
+    if (wordBankData[i][0]) {
+      wordBank.push({
+        word: wordBankData[i][0],
+        meaning: wordBankData[i][1],
+        example: wordBankData[i][2] || '',
+        pos: wordBankData[i][3] || '',
+        book: String(wordBankData[i][4] || ''),
+        unit: String(wordBankData[i][5] || ''),
+        level: String(wordBankData[i][6] || '')
+      });
     }
-    
-    // 완벽숙지 리스트 (헤더 제외)
-    var masteredList = [];
-    for (var i = 1; i < masteredData.length; i++) {
-      if (masteredData[i][0]) {
-        masteredList.push({
-          word: masteredData[i][0],
-          masteredDate: masteredData[i][1]
-        });
-      }
+  }
+
+  // 복습문제 리스트 (헤더 제외)
+  var reviewList = [];
+  for (var i = 1; i < reviewData.length; i++) {
+    if (reviewData[i][0]) {
+      reviewList.push({
+        word: reviewData[i][0],
+        status: reviewData[i][1],
+        nextReviewDate: toDateString(reviewData[i][2]),
+        streak: reviewData[i][3] || 0,
+        addedDate: toDateString(reviewData[i][4]),
+        ease: toNumberOrUndefined(reviewData[i][5]),
+        interval: toNumberOrUndefined(reviewData[i][6]),
+        lapses: toNumberOrUndefined(reviewData[i][7]),
+        lastReviewDate: toDateString(reviewData[i][8])
+      });
     }
-    
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: true,
-        wordBank: wordBank,
-        reviewList: reviewList,
-        masteredList: masteredList
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
-      
-  } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: false, error: error.toString() }))
-      .setMimeType(ContentService.MimeType.JSON);
   }
-}
 
-function handleEnglishQuizPost(action, data) {
-  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-  
-  try {
-    if (action === 'englishQuiz_addReview') {
-      return addToReviewList(ss, data);
-    } else if (action === 'englishQuiz_updateReview') {
-      return updateReviewItem(ss, data);
-    } else if (action === 'englishQuiz_moveMastered') {
-      return moveToMastered(ss, data);
+  // 완벽숙지 리스트 (헤더 제외)
+  var masteredList = [];
+  for (var i = 1; i < masteredData.length; i++) {
+    if (masteredData[i][0]) {
+      masteredList.push({
+        word: masteredData[i][0],
+        masteredDate: toDateString(masteredData[i][1]),
+        ease: toNumberOrUndefined(masteredData[i][2]),
+        interval: toNumberOrUndefined(masteredData[i][3]),
+        nextReviewDate: toDateString(masteredData[i][4]),
+        lapses: toNumberOrUndefined(masteredData[i][5]),
+        lastReviewDate: toDateString(masteredData[i][6]),
+        streak: toNumberOrUndefined(masteredData[i][7]),
+        addedDate: toDateString(masteredData[i][8])
+      });
     }
-    
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: false, error: 'Unknown action' }))
-      .setMimeType(ContentService.MimeType.JSON);
-      
-  } catch (error) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: false, error: error.toString() }))
-      .setMimeType(ContentService.MimeType.JSON);
   }
+
+  return {
+    wordBank: wordBank,
+    reviewList: reviewList,
+    masteredList: masteredList
+  };
 }
 
-// 복습리스트에 추가
-function addToReviewList(ss, data) {
-  var sheet = ss.getSheetByName('복습문제');
-  if (!sheet) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: false, error: '복습문제 시트가 없습니다' }))
-      .setMimeType(ContentService.MimeType.JSON);
-  }
-  
-  var item = JSON.parse(data);
-  sheet.appendRow([
+function toReviewRow(item) {
+  return [
     item.word,
     item.status,
     item.nextReviewDate,
     item.streak || 0,
-    item.addedDate
-  ]);
-  
-  return ContentService
-    .createTextOutput(JSON.stringify({ success: true }))
-    .setMimeType(ContentService.MimeType.JSON);
+    item.addedDate || '',
+    item.ease || '',
+    item.interval || '',
+    item.lapses || 0,
+    item.lastReviewDate || ''
+  ];
+}
+
+function toMasteredRow(item) {
+  return [
+    item.word,
+    item.masteredDate || Utilities.formatDate(new Date(), 'Asia/Seoul', 'yyyy-MM-dd'),
+    item.ease || '',
+    item.interval || '',
+    item.nextReviewDate || '',
+    item.lapses || 0,
+    item.lastReviewDate || '',
+    item.streak || 0,
+    item.addedDate || ''
+  ];
+}
+
+// 복습리스트에 추가
+function addToReviewList(ss, data) {
+  var sheet = getReviewSheet(ss);
+  var item = JSON.parse(data);
+  sheet.appendRow(toReviewRow(item));
+
+  return {};
 }
 
 // 복습리스트 항목 업데이트
 function updateReviewItem(ss, data) {
-  var sheet = ss.getSheetByName('복습문제');
-  if (!sheet) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: false, error: '복습문제 시트가 없습니다' }))
-      .setMimeType(ContentService.MimeType.JSON);
-  }
-  
+  var sheet = getReviewSheet(ss);
   var item = JSON.parse(data);
-  var dataRange = sheet.getDataRange();
-  var values = dataRange.getValues();
-  
-  for (var i = 1; i < values.length; i++) {
-    if (values[i][0] === item.word) {
-      sheet.getRange(i + 1, 2, 1, 4).setValues([[
-        item.status,
-        item.nextReviewDate,
-        item.streak || 0,
-        item.addedDate || values[i][4]
-      ]]);
-      return ContentService
-        .createTextOutput(JSON.stringify({ success: true }))
-        .setMimeType(ContentService.MimeType.JSON);
-    }
+  var values = sheet.getDataRange().getValues();
+  var row = findWordRow(values, item.word);
+
+  if (row >= 0) {
+    if (!item.addedDate) item.addedDate = toDateString(values[row][4]);
+    sheet.getRange(row + 1, 1, 1, REVIEW_HEADERS.length).setValues([toReviewRow(item)]);
+    return {};
   }
-  
+
   // 없으면 추가
   return addToReviewList(ss, data);
 }
@@ -210,154 +367,1089 @@ function updateReviewItem(ss, data) {
 function moveToMastered(ss, data) {
   var item = JSON.parse(data);
   var word = item.word;
-  
-  // 복습문제에서 삭제
-  var reviewSheet = ss.getSheetByName('복습문제');
-  if (reviewSheet) {
-    var reviewData = reviewSheet.getDataRange().getValues();
-    for (var i = reviewData.length - 1; i >= 1; i--) {
-      if (reviewData[i][0] === word) {
-        reviewSheet.deleteRow(i + 1);
-        break;
+
+  // 복습문제에서 삭제 (처음 나온 날은 가져간다)
+  var reviewSheet = getReviewSheet(ss);
+  var reviewData = reviewSheet.getDataRange().getValues();
+  for (var i = reviewData.length - 1; i >= 1; i--) {
+    if (reviewData[i][0] === word) {
+      if (!item.addedDate) item.addedDate = toDateString(reviewData[i][4]);
+      reviewSheet.deleteRow(i + 1);
+      break;
+    }
+  }
+
+  // 완벽숙지에 추가 (이미 있으면 일정만 갱신)
+  return updateMasteredItem(ss, JSON.stringify(item));
+}
+
+// 완벽숙지 단어의 복습 일정 갱신 (오랜만에 다시 맞힌 경우)
+function updateMasteredItem(ss, data) {
+  var sheet = getMasteredSheet(ss);
+  var item = JSON.parse(data);
+  var values = sheet.getDataRange().getValues();
+  var row = findWordRow(values, item.word);
+
+  if (row >= 0) {
+    if (!item.masteredDate) item.masteredDate = toDateString(values[row][1]);
+    if (!item.addedDate) item.addedDate = toDateString(values[row][8]);
+    sheet.getRange(row + 1, 1, 1, MASTERED_HEADERS.length).setValues([toMasteredRow(item)]);
+  } else {
+    sheet.appendRow(toMasteredRow(item));
+  }
+
+  return {};
+}
+
+// 완벽숙지 단어를 잊어버림 → 완벽숙지에서 빼고 복습문제로 되돌린다
+function demoteMastered(ss, data) {
+  var item = JSON.parse(data);
+
+  var masteredSheet = getMasteredSheet(ss);
+  var masteredData = masteredSheet.getDataRange().getValues();
+  for (var i = masteredData.length - 1; i >= 1; i--) {
+    if (masteredData[i][0] === item.word) {
+      if (!item.addedDate) item.addedDate = toDateString(masteredData[i][8]);
+      masteredSheet.deleteRow(i + 1);
+    }
+  }
+
+  return updateReviewItem(ss, JSON.stringify(item));
+}
+
+// ========================================
+// 단어뱅크 관리 (word_manager.html)
+// ========================================
+
+// data: { words: [{ word, meaning, example, pos, book, unit, level, originalWord?, replace? }] }
+// 같은 단어가 있으면 고치고 없으면 추가한다. 가져오기처럼 빈 칸으로 온 값은 기존 값을 유지하고,
+// 단어 관리 화면에서 고친 단어(replace: true)는 빈 칸도 그대로 쓴다.
+// originalWord가 있으면 그 행의 철자를 바꾸고 복습/완벽숙지 기록도 새 철자로 옮긴다.
+function saveWords(data) {
+  var words = JSON.parse(data || '{}').words || [];
+  var fields = ['example', 'pos', 'book', 'unit', 'level'];
+
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getWordBankSheet(ss);
+    var values = sheet.getDataRange().getValues();
+    var today = Utilities.formatDate(new Date(), 'Asia/Seoul', 'yyyy-MM-dd');
+
+    // 표 전체를 메모리에서 고친 뒤 한 번에 쓴다 (가져오기는 수백 단어가 한 번에 옴)
+    var width = WORDBANK_HEADERS.length;
+    values = values.map(function (row) {
+      return row.slice(0, width);
+    });
+
+    var rowByWord = {};
+    for (var i = 1; i < values.length; i++) {
+      if (values[i][0]) rowByWord[String(values[i][0])] = i;
+    }
+
+    var added = 0;
+    var updated = 0;
+    var renames = [];
+    words.forEach(function (item) {
+      var word = String(item.word || '').trim();
+      if (!word || !item.meaning) return;
+
+      var renamed = item.originalWord && item.originalWord !== word && rowByWord[item.originalWord] !== undefined;
+      var index = renamed ? rowByWord[item.originalWord] : rowByWord[word];
+      var existing = index !== undefined ? values[index] : null;
+
+      var row = [word, item.meaning];
+      fields.forEach(function (field, f) {
+        var value = item[field] === undefined || item[field] === null ? '' : String(item[field]).trim();
+        row.push(value || item.replace || !existing ? value : existing[f + 2]);
+      });
+      row.push(existing ? (toDateString(existing[7]) || today) : today);
+
+      if (renamed) {
+        // 새 철자가 이미 다른 행에 있으면 (덮어쓰기 확인함) 그 행은 지운다
+        if (rowByWord[word] !== undefined) values[rowByWord[word]] = null;
+        delete rowByWord[item.originalWord];
+        renames.push({ from: item.originalWord, to: word });
+      }
+
+      if (existing) {
+        values[index] = row;
+        updated++;
+      } else {
+        values.push(row);
+        index = values.length - 1;
+        added++;
+      }
+      rowByWord[word] = index;
+    });
+
+    if (added + updated > 0) {
+      var rows = values.slice(1).filter(Boolean);
+      var removed = values.length - 1 - rows.length;
+      if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, width).setValues(rows);
+      }
+      if (removed > 0) {
+        sheet.deleteRows(rows.length + 2, removed);
       }
     }
+
+    renames.forEach(function (rename) {
+      renameWordHistory(getReviewSheet(ss), rename.from, rename.to);
+      renameWordHistory(getMasteredSheet(ss), rename.from, rename.to);
+    });
+    return { added: added, updated: updated };
+  });
+}
+
+// 복습문제/완벽숙지 시트의 단어 철자를 바꾼다 (새 철자 기록이 이미 있으면 예전 행은 지운다)
+function renameWordHistory(sheet, from, to) {
+  var values = sheet.getDataRange().getValues();
+  var fromRow = findWordRow(values, from);
+  if (fromRow < 0) return;
+
+  if (findWordRow(values, to) >= 0) {
+    sheet.deleteRow(fromRow + 1);
+  } else {
+    sheet.getRange(fromRow + 1, 1).setValue(to);
   }
-  
-  // 완벽숙지에 추가
-  var masteredSheet = ss.getSheetByName('완벽숙지');
-  if (!masteredSheet) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: false, error: '완벽숙지 시트가 없습니다' }))
-      .setMimeType(ContentService.MimeType.JSON);
-  }
-  
-  var today = Utilities.formatDate(new Date(), 'Asia/Seoul', 'yyyy-MM-dd');
-  masteredSheet.appendRow([word, today]);
-  
-  return ContentService
-    .createTextOutput(JSON.stringify({ success: true }))
-    .setMimeType(ContentService.MimeType.JSON);
+}
+
+// data: { word } - 단어뱅크에서만 지운다 (복습 기록은 그대로 두고 퀴즈에서 나오지 않게 됨)
+function deleteWord(data) {
+  var word = JSON.parse(data || '{}').word;
+  if (!word) {
+    throw new Error('word가 없습니다');
+  }
+
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getWordBankSheet(ss);
+    var values = sheet.getDataRange().getValues();
+    for (var i = values.length - 1; i >= 1; i--) {
+      if (values[i][0] === word) {
+        sheet.deleteRow(i + 1);
+        return { deleted: true };
+      }
+    }
+    return { deleted: false };
+  });
 }
 
 // ========================================
-// 줄넘기 관련 함수
+// 영어 퀴즈 일일 통계
 // ========================================
 
-function getJumpropeData() {
+// 헤더: 날짜 | 푼문제 | 바로맞춤 | 업데이트시간
+function getDailyStatsSheet(ss) {
+  var sheet = ss.getSheetByName('일일통계');
+  if (!sheet) {
+    sheet = ss.insertSheet('일일통계');
+    sheet.appendRow(['날짜', '푼문제', '바로맞춤', '업데이트시간']);
+  }
+  return sheet;
+}
+
+function getTodayStats(date) {
   var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var sheet = getDailyStatsSheet(ss);
+  var target = date || Utilities.formatDate(new Date(), 'Asia/Seoul', 'yyyy-MM-dd');
+  var data = sheet.getDataRange().getValues();
+
+  var stats = { total: 0, correct: 0 };
+  for (var i = 1; i < data.length; i++) {
+    if (toDateString(data[i][0]) === target) {
+      stats = {
+        total: parseInt(data[i][1]) || 0,
+        correct: parseInt(data[i][2]) || 0
+      };
+      break;
+    }
+  }
+
+  return { date: target, stats: stats };
+}
+
+// 기간별 통계 (from/to 생략 시 전체)
+// report.html의 주간 리포트가 사용
+function getStatsHistory(from, to) {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var sheet = getDailyStatsSheet(ss);
+  var data = sheet.getDataRange().getValues();
+
+  var history = [];
+  for (var i = 1; i < data.length; i++) {
+    var date = toDateString(data[i][0]);
+    if (!date) continue;
+    if (from && date < from) continue;
+    if (to && date > to) continue;
+
+    history.push({
+      date: date,
+      total: parseInt(data[i][1]) || 0,
+      correct: parseInt(data[i][2]) || 0
+    });
+  }
+
+  history.sort(function (a, b) {
+    return a.date < b.date ? -1 : (a.date > b.date ? 1 : 0);
+  });
+
+  return { history: history };
+}
+
+// 같은 날짜 행이 있으면 덮어쓰고, 없으면 추가
+function saveTodayStats(data) {
+  if (!data) {
+    throw new Error('data가 없습니다');
+  }
+
+  var item = JSON.parse(data);
+  if (!item.date) {
+    throw new Error('date가 없습니다');
+  }
+
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var sheet = getDailyStatsSheet(ss);
+  var values = sheet.getDataRange().getValues();
+  var total = parseInt(item.total) || 0;
+  var correct = parseInt(item.correct) || 0;
+  var updatedAt = Utilities.formatDate(new Date(), 'Asia/Seoul', 'yyyy-MM-dd HH:mm:ss');
+
+  for (var i = 1; i < values.length; i++) {
+    if (toDateString(values[i][0]) === item.date) {
+      sheet.getRange(i + 1, 2, 1, 3).setValues([[total, correct, updatedAt]]);
+      return {};
+    }
+  }
+
+  sheet.appendRow([item.date, total, correct, updatedAt]);
+
+  return {};
+}
+
+// ========================================
+// 줄넘기 관련 함수
+// ========================================
+
+// 헤더: 날짜 | 시간 | 줄넘기횟수 | 누적총합 | ID
+// 누적총합은 항상 서버가 줄넘기횟수 열로부터 다시 계산한다.
+// ID는 저장 요청의 clientId(sync_queue.js 항목 id)로, 포인트 장부 키 'jumprope:<ID>'와 연결된다.
+// 목표(남은 개수, 예상 일수)는 '줄넘기도전' 시트의 도전별로 계산한다.
+
+function getJumpropeSheet(ss) {
   var sheet = ss.getSheetByName('줄넘기');
-  
   if (!sheet) {
-    return ContentService
-      .createTextOutput(JSON.stringify({ success: true, total: 0, days: 0, records: [] }))
-      .setMimeType(ContentService.MimeType.JSON);
+    sheet = ss.insertSheet('줄넘기');
+    sheet.appendRow(['날짜', '시간', '줄넘기횟수', '누적총합', 'ID']);
+    return sheet;
+  }
+
+  // 예전 시트: 고정 목표 열(10000개까지)을 비우고 ID 열로 쓴다
+  var header = sheet.getRange(1, 5).getValue();
+  if (header !== 'ID') {
+    if (header === '10000개까지') {
+      sheet.getRange(1, 5, sheet.getLastRow(), 1).clearContent();
+    }
+    sheet.getRange(1, 5).setValue('ID');
+  }
+  return sheet;
+}
+
+// 시트 셀 값(Date 또는 문자열)을 HH:mm:ss로 통일
+function toTimeString(value) {
+  if (!value) return '';
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'HH:mm:ss');
   }
-  
+  return String(value);
+}
+
+// 시트 전체를 읽어 기록/총합/일수를 계산 (row는 시트 행 번호)
+function readJumpropeSummary(sheet) {
   var data = sheet.getDataRange().getValues();
   var total = 0;
   var uniqueDates = {};
   var records = [];
-  
+  var hasId = data.length > 0 && data[0][4] === 'ID'; // 마이그레이션 전 시트는 ID 없음
+
   // 첫 번째 행은 헤더이므로 i=1부터 시작
-  // 헤더: 날짜 | 시간 | 줄넘기횟수 | 누적총합 | 10000개까지
   for (var i = 1; i < data.length; i++) {
     var row = data[i];
-    if (row[0]) { // 날짜가 있는 행만
-      var date = row[0];
-      var time = row[1];
-      var count = parseInt(row[2]) || 0;
-      var cumTotal = parseInt(row[3]) || 0;
-      
-      // 마지막 행의 누적총합이 최신 값
-      if (i === data.length - 1) {
-        total = cumTotal;
+    if (!row[0]) continue; // 날짜가 있는 행만
+
+    var dateStr = Utilities.formatDate(new Date(row[0]), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    var count = parseInt(row[2]) || 0;
+    total += count;
+    uniqueDates[dateStr] = true;
+
+    records.push({
+      row: i + 1,
+      date: dateStr,
+      time: toTimeString(row[1]),
+      count: count,
+      total: total,
+      id: hasId ? String(row[4] || '') : ''
+    });
+  }
+
+  return {
+    total: total,
+    days: Object.keys(uniqueDates).length,
+    records: records
+  };
+}
+
+// 누적총합 열을 기록 순서대로 다시 쓴다
+function recomputeJumpropeTotals(sheet) {
+  var summary = readJumpropeSummary(sheet);
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return summary;
+
+  // 누적총합 열 전체를 한 번에 쓴다 (날짜 없는 행은 원래 값 유지)
+  var column = sheet.getRange(2, 4, lastRow - 1, 1).getValues();
+  summary.records.forEach(function (record) {
+    column[record.row - 2][0] = record.total;
+  });
+  sheet.getRange(2, 4, lastRow - 1, 1).setValues(column);
+  return summary;
+}
+
+// 수정/삭제 대상 행이 클라이언트가 본 기록과 같은지 확인
+function findJumpropeRecord(sheet, params) {
+  var row = parseInt(params.row);
+  var summary = readJumpropeSummary(sheet);
+  var record = null;
+  for (var i = 0; i < summary.records.length; i++) {
+    if (summary.records[i].row === row) {
+      record = summary.records[i];
+      break;
+    }
+  }
+
+  if (!record || record.date !== params.date || record.time !== params.time) {
+    throw new Error('기록이 변경되었습니다. 새로고침 후 다시 시도해주세요');
+  }
+  return record;
+}
+
+// 여러 기기에서 동시에 저장해도 누적값이 꼬이지 않도록 잠금 후 실행
+// 이미 잠금 안이면(clientId 요청의 핸들러 등) 그대로 실행한다
+var scriptLockDepth = 0;
+
+function withScriptLock(fn) {
+  if (scriptLockDepth > 0) {
+    return fn();
+  }
+
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(10000);
+  } catch (error) {
+    var busy = new Error('다른 저장이 끝나지 않았습니다. 잠시 후 다시 시도해주세요');
+    busy.retryable = true;
+    throw busy;
+  }
+
+  scriptLockDepth++;
+  try {
+    return fn();
+  } finally {
+    scriptLockDepth--;
+    lock.releaseLock();
+  }
+}
+
+function getJumpropeData() {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var sheet = ss.getSheetByName('줄넘기');
+
+  if (!sheet) {
+    return withChallenges(ss, { total: 0, days: 0, records: [] });
+  }
+
+  return withChallenges(ss, readJumpropeSummary(sheet));
+}
+
+// 줄넘기 10개당 1포인트 (jumprope.html의 JUMPS_PER_POINT와 같아야 함)
+var JUMPROPE_JUMPS_PER_POINT = 10;
+
+function saveJumpropeRecord(params) {
+  var count = parseInt(params.count) || 0;
+  if (count <= 0) {
+    throw new Error('count가 올바르지 않습니다');
+  }
+
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getJumpropeSheet(ss);
+
+    var now = new Date();
+    var date = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    var time = Utilities.formatDate(now, Session.getScriptTimeZone(), 'HH:mm:ss');
+
+    // 새 행 추가 후 누적값 재계산
+    sheet.appendRow([date, time, count, '', params.clientId || '']);
+    return withChallenges(ss, recomputeJumpropeTotals(sheet));
+  });
+}
+
+function updateJumpropeRecord(params) {
+  var count = parseInt(params.count) || 0;
+  if (count <= 0) {
+    throw new Error('count가 올바르지 않습니다');
+  }
+
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getJumpropeSheet(ss);
+    var record = findJumpropeRecord(sheet, params);
+
+    sheet.getRange(record.row, 3).setValue(count);
+    // 수정할 때마다 조정하므로 요청 id(clientId)로 키를 나눈다
+    adjustJumpropePoints(record, count, 'edit:' + (params.clientId || Utilities.getUuid()));
+    return withChallenges(ss, recomputeJumpropeTotals(sheet));
+  });
+}
+
+function deleteJumpropeRecord(params) {
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getJumpropeSheet(ss);
+    var record = findJumpropeRecord(sheet, params);
+
+    sheet.deleteRow(record.row);
+    adjustJumpropePoints(record, 0, 'delete');
+    return withChallenges(ss, recomputeJumpropeTotals(sheet));
+  });
+}
+
+// 기록을 고치거나 지우면 같은 잠금 안에서 포인트 장부 차액도 조정한다 (jumprope.html이 저장 때 적립)
+// ID가 없는 기록(포인트 장부 이전 기록)은 적립된 적이 없으므로 조정하지 않는다
+function adjustJumpropePoints(record, newCount, keySuffix) {
+  if (!record.id) return;
+
+  var diff = Math.floor(newCount / JUMPROPE_JUMPS_PER_POINT) - Math.floor(record.count / JUMPROPE_JUMPS_PER_POINT);
+  if (diff === 0) return;
+
+  var desc = newCount > 0
+    ? '줄넘기 기록 수정 ' + record.count + '개 → ' + newCount + '개'
+    : '줄넘기 기록 삭제 ' + record.count + '개';
+  appendPointsEntry('jumprope', diff, desc, 'jumprope:' + record.id + ':' + keySuffix);
+}
+
+// ========================================
+// 줄넘기 도전 (목표 설정)
+// ========================================
+
+// 헤더: ID | 이름 | 종류 | 목표 | 시작일 | 종료일 | 보상
+// 종류 total: 기간 안의 줄넘기 합계가 목표에 도달하면 성공
+// 종류 daily: 기간 안의 매일 목표 개수 이상을 해야 성공 (시작일/종료일 필수)
+function getChallengeSheet(ss) {
+  var sheet = ss.getSheetByName('줄넘기도전');
+  if (!sheet) {
+    sheet = ss.insertSheet('줄넘기도전');
+    sheet.appendRow(['ID', '이름', '종류', '목표', '시작일', '종료일', '보상']);
+    // 기존 10,000개 목표를 기본 도전으로 등록
+    sheet.appendRow(['ten-thousand', '줄넘기 10,000개 도전', 'total', 10000, '', '', '']);
+  }
+  return sheet;
+}
+
+function readChallenges(sheet) {
+  var data = sheet.getDataRange().getValues();
+  var challenges = [];
+
+  for (var i = 1; i < data.length; i++) {
+    var row = data[i];
+    if (!row[0]) continue;
+
+    challenges.push({
+      row: i + 1,
+      id: String(row[0]),
+      name: row[1] || '',
+      type: row[2] === 'daily' ? 'daily' : 'total',
+      target: parseInt(row[3]) || 0,
+      startDate: toDateString(row[4]),
+      endDate: toDateString(row[5]),
+      reward: row[6] || ''
+    });
+  }
+  return challenges;
+}
+
+// 'yyyy-MM-dd' 두 날짜 사이의 일수 (양 끝 포함)
+function countDaysInclusive(from, to) {
+  var start = new Date(from + 'T00:00:00');
+  var end = new Date(to + 'T00:00:00');
+  return Math.round((end - start) / 86400000) + 1;
+}
+
+// 도전 하나의 진행 상황 계산
+function computeChallengeProgress(challenge, records, today) {
+  var daily = {};
+  var dayOrder = [];
+  var current = 0;
+  var completedDate = '';
+
+  records.forEach(function (record) {
+    if (challenge.startDate && record.date < challenge.startDate) return;
+    if (challenge.endDate && record.date > challenge.endDate) return;
+
+    if (!daily.hasOwnProperty(record.date)) {
+      daily[record.date] = 0;
+      dayOrder.push(record.date);
+    }
+    daily[record.date] += record.count;
+
+    if (challenge.type === 'total') {
+      current += record.count;
+      if (!completedDate && challenge.target > 0 && current >= challenge.target) {
+        completedDate = record.date;
       }
-      
-      // 고유 날짜 카운트
-      var dateStr = Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), 'yyyy-MM-dd');
-      uniqueDates[dateStr] = true;
-      
-      records.push({
-        date: dateStr,
-        time: time,
-        count: count,
-        total: cumTotal
+    }
+  });
+
+  var goal;
+  var estimatedDays = null;
+  var unreachable = false;
+
+  if (challenge.type === 'daily') {
+    // 목표를 채운 날 수 / 기간 전체 일수
+    goal = (challenge.startDate && challenge.endDate)
+      ? countDaysInclusive(challenge.startDate, challenge.endDate)
+      : 0;
+    dayOrder.sort();
+    dayOrder.forEach(function (date) {
+      if (daily[date] >= challenge.target) {
+        current++;
+        if (!completedDate && goal > 0 && current >= goal) {
+          completedDate = date;
+        }
+      }
+    });
+    if (goal > 0) {
+      // 오늘부터 끝나는 날까지 남은 날을 모두 채워도 모자라면 실패 (오늘 이미 채웠으면 오늘은 뺀다)
+      var from = today > challenge.startDate ? today : challenge.startDate;
+      var daysLeft = from <= challenge.endDate ? countDaysInclusive(from, challenge.endDate) : 0;
+      if (daysLeft > 0 && from === today && daily[today] >= challenge.target) daysLeft--;
+      unreachable = current + daysLeft < goal;
+      estimatedDays = unreachable ? null : daysLeft;
+    }
+  } else {
+    goal = challenge.target;
+    var activeDays = dayOrder.length;
+    var avg = activeDays > 0 ? current / activeDays : 0;
+    if (avg > 0 && current < goal) {
+      estimatedDays = Math.ceil((goal - current) / avg);
+    }
+  }
+
+  var remaining = Math.max(0, goal - current);
+  var completed = goal > 0 && remaining === 0;
+  var ended = !!challenge.endDate && today > challenge.endDate;
+
+  return {
+    id: challenge.id,
+    name: challenge.name,
+    type: challenge.type,
+    target: challenge.target,
+    startDate: challenge.startDate,
+    endDate: challenge.endDate,
+    reward: challenge.reward,
+    goal: goal,
+    current: current,
+    remaining: remaining,
+    percent: goal > 0 ? Math.min(100, (current / goal) * 100) : 0,
+    activeDays: dayOrder.length,
+    estimatedDays: completed ? 0 : estimatedDays,
+    completed: completed,
+    completedDate: completedDate,
+    ended: ended,
+    failed: !completed && (ended || unreachable)
+  };
+}
+
+// 줄넘기 요약에 도전별 진행 상황을 붙인다
+function withChallenges(ss, summary) {
+  var today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  var challenges = readChallenges(getChallengeSheet(ss));
+
+  summary.challenges = challenges.map(function (challenge) {
+    return computeChallengeProgress(challenge, summary.records, today);
+  });
+  return summary;
+}
+
+// 도전 추가/수정 (id가 있으면 수정)
+function saveJumpropeChallenge(data) {
+  if (!data) {
+    throw new Error('data가 없습니다');
+  }
+
+  var item = JSON.parse(data);
+  var target = parseInt(item.target) || 0;
+  if (!item.name) {
+    throw new Error('도전 이름이 없습니다');
+  }
+  if (target <= 0) {
+    throw new Error('목표가 올바르지 않습니다');
+  }
+  if (item.type === 'daily' && (!item.startDate || !item.endDate)) {
+    throw new Error('매일 도전은 시작일과 종료일이 필요합니다');
+  }
+  if (item.startDate && item.endDate && item.startDate > item.endDate) {
+    throw new Error('종료일이 시작일보다 빠릅니다');
+  }
+
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getChallengeSheet(ss);
+    var values = [
+      item.name,
+      item.type === 'daily' ? 'daily' : 'total',
+      target,
+      item.startDate || '',
+      item.endDate || '',
+      item.reward || ''
+    ];
+
+    var existing = null;
+    if (item.id) {
+      readChallenges(sheet).forEach(function (challenge) {
+        if (challenge.id === item.id) existing = challenge;
       });
     }
+
+    if (existing) {
+      sheet.getRange(existing.row, 2, 1, values.length).setValues([values]);
+    } else {
+      sheet.appendRow(['c' + new Date().getTime()].concat(values));
+    }
+
+    return getJumpropeData();
+  });
+}
+
+function deleteJumpropeChallenge(params) {
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getChallengeSheet(ss);
+    var found = false;
+
+    readChallenges(sheet).forEach(function (challenge) {
+      if (!found && challenge.id === params.id) {
+        sheet.deleteRow(challenge.row);
+        found = true;
+      }
+    });
+
+    if (!found) {
+      throw new Error('도전을 찾을 수 없습니다');
+    }
+    return getJumpropeData();
+  });
+}
+
+// ========================================
+// 포인트 장부 (모든 앱이 함께 쓰는 게코 포인트)
+// ========================================
+
+// 적립할 수 있는 출처 (source 값 → 시트에 적는 이름)
+var POINT_SOURCES = {
+  gj: '타임머신 여행',
+  gugudan: '구구단',
+  quiz: '영어 퀴즈',
+  jumprope: '줄넘기',
+  chat: '채팅 도장'
+};
+
+var POINTS_RECENT_LIMIT = 20;
+
+// 헤더: 날짜 | 시간 | 출처 | 포인트 | 내용 | 키
+function getPointsSheet(ss) {
+  var sheet = ss.getSheetByName('포인트장부');
+  if (!sheet) {
+    sheet = ss.insertSheet('포인트장부');
+    sheet.appendRow(['날짜', '시간', '출처', '포인트', '내용', '키']);
   }
-  
-  var days = Object.keys(uniqueDates).length;
-  
-  return ContentService
-    .createTextOutput(JSON.stringify({
-      success: true,
-      total: total,
-      days: days,
-      records: records
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
+  return sheet;
 }
 
-function saveJumpropeRecord(e) {
+// 잔액, 출처별 합계, 최근 적립 내역 (최신순)
+function readPointsSummary(sheet) {
+  var values = sheet.getDataRange().getValues();
+  var balance = 0;
+  var bySource = {};
+  var entries = [];
+
+  for (var i = 1; i < values.length; i++) {
+    var amount = parseInt(values[i][3]) || 0;
+    var source = String(values[i][2]);
+    balance += amount;
+    bySource[source] = (bySource[source] || 0) + amount;
+    entries.push({
+      date: toDateString(values[i][0]),
+      time: toTimeString(values[i][1]),
+      source: source,
+      amount: amount,
+      desc: String(values[i][4] || '')
+    });
+  }
+
+  return {
+    balance: balance,
+    bySource: bySource,
+    recent: entries.slice(-POINTS_RECENT_LIMIT).reverse()
+  };
+}
+
+function getPointsData() {
   var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-  var sheet = ss.getSheetByName('줄넘기');
-  
-  // 시트가 없으면 생성
+  var sheet = ss.getSheetByName('포인트장부');
+
   if (!sheet) {
-    sheet = ss.insertSheet('줄넘기');
-    sheet.appendRow(['날짜', '시간', '줄넘기횟수', '누적총합', '10000개까지']);
+    return { balance: 0, bySource: {}, recent: [] };
   }
-  
-  var now = new Date();
-  var date = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd');
-  var time = Utilities.formatDate(now, Session.getScriptTimeZone(), 'HH:mm:ss');
-  var count = parseInt(e.parameter.count) || 0;
-  var total = parseInt(e.parameter.total) || 0;
-  var remaining = parseInt(e.parameter.remaining) || (10000 - total);
-  
-  // 새 행 추가
-  sheet.appendRow([date, time, count, total, remaining]);
-  
-  return ContentService
-    .createTextOutput('SUCCESS')
-    .setMimeType(ContentService.MimeType.TEXT);
+  return readPointsSummary(sheet);
+}
+
+function hasPointsKey(sheet, key) {
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return false;
+
+  var keys = sheet.getRange(2, 6, lastRow - 1, 1).getValues();
+  for (var i = 0; i < keys.length; i++) {
+    if (String(keys[i][0]) === key) return true;
+  }
+  return false;
+}
+
+// params: source, amount, desc, key (같은 key는 한 번만 적립, 예: 'gj:gyeongju:m1_1')
+// clientId 중복 처리는 6시간만 유지되므로 영구적인 중복 방지는 key로 한다
+function creditPoints(params) {
+  var amount = parseInt(params.amount) || 0;
+  if (amount <= 0) {
+    throw new Error('amount가 올바르지 않습니다');
+  }
+  return appendPointsEntry(params.source, amount, params.desc, params.key);
+}
+
+function appendPointsEntry(source, amount, desc, key) {
+  if (!POINT_SOURCES.hasOwnProperty(source)) {
+    throw new Error('source가 올바르지 않습니다: ' + source);
+  }
+  key = key ? String(key) : '';
+
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getPointsSheet(ss);
+
+    if (key && hasPointsKey(sheet, key)) {
+      var summary = readPointsSummary(sheet);
+      summary.duplicate = true;
+      return summary;
+    }
+
+    var now = new Date();
+    var date = Utilities.formatDate(now, 'Asia/Seoul', 'yyyy-MM-dd');
+    var time = Utilities.formatDate(now, 'Asia/Seoul', 'HH:mm:ss');
+    sheet.appendRow([date, time, POINT_SOURCES[source], amount, desc || '', key]);
+
+    var result = readPointsSummary(sheet);
+    result.credited = amount;
+    return result;
+  });
 }
 
 // ========================================
-// 자전거 관련 함수 (기존 코드)
+// 구구단 숙련도 (곱셈 사실별 기록)
 // ========================================
 
-function getBikeMaxSpeed() {
+// 헤더: 곱셈 | 시도 | 정답 | 상자 | 다음복습 | 평균시간(ms) | 마지막연습
+// 곱셈은 '7x8' 형식, 상자는 라이트너 상자 번호(1~5)
+function getGugudanMasterySheet(ss) {
+  var sheet = ss.getSheetByName('구구단숙련');
+  if (!sheet) {
+    sheet = ss.insertSheet('구구단숙련');
+    sheet.appendRow(['곱셈', '시도', '정답', '상자', '다음복습', '평균시간(ms)', '마지막연습']);
+  }
+  return sheet;
+}
+
+function toTimestamp(value) {
+  if (!value) return 0;
+  if (value instanceof Date) return value.getTime();
+  var time = new Date(value).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+function getGugudanMastery() {
   var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-  var sheet = ss.getActiveSheet();
+  var sheet = ss.getSheetByName('구구단숙련');
+  var facts = {};
+  if (!sheet) return { facts: facts };
+
+  var values = sheet.getDataRange().getValues();
+  for (var i = 1; i < values.length; i++) {
+    var key = String(values[i][0]);
+    if (!key) continue;
+    facts[key] = {
+      attempts: parseInt(values[i][1]) || 0,
+      correct: parseInt(values[i][2]) || 0,
+      box: parseInt(values[i][3]) || 1,
+      due: toTimestamp(values[i][4]),
+      avgMs: parseInt(values[i][5]) || 0,
+      lastAt: toTimestamp(values[i][6])
+    };
+  }
+  return { facts: facts };
+}
+
+// data: { facts: { '7x8': {...}, ... } } - 보낸 곱셈만 덮어쓰고 없는 곱셈은 새 행으로 추가
+function saveGugudanMastery(data) {
+  var facts = JSON.parse(data || '{}').facts || {};
+
+  return withScriptLock(function () {
+    var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+    var sheet = getGugudanMasterySheet(ss);
+    var values = sheet.getDataRange().getValues();
+
+    // 표 전체를 메모리에서 고친 뒤 한 번에 쓴다 (세션마다 최대 100개 사실을 보냄)
+    var width = 7;
+    var rows = values.slice(1).map(function (row) {
+      return row.slice(0, width);
+    });
+    var indexByKey = {};
+    rows.forEach(function (row, index) {
+      indexByKey[String(row[0])] = index;
+    });
+
+    var saved = 0;
+    Object.keys(facts).forEach(function (key) {
+      var fact = facts[key];
+      var row = [
+        key,
+        fact.attempts || 0,
+        fact.correct || 0,
+        fact.box || 1,
+        fact.due ? new Date(fact.due) : '',
+        fact.avgMs || 0,
+        fact.lastAt ? new Date(fact.lastAt) : ''
+      ];
+      if (indexByKey.hasOwnProperty(key)) {
+        rows[indexByKey[key]] = row;
+      } else {
+        indexByKey[key] = rows.length;
+        rows.push(row);
+      }
+      saved++;
+    });
+
+    if (saved > 0) {
+      sheet.getRange(2, 1, rows.length, width).setValues(rows);
+    }
+
+    return { saved: saved };
+  });
+}
+
+// ========================================
+// 자전거 관련 함수
+// ========================================
+
+// 헤더: 날짜 | 시간 | 거리(km) | 속도(km/h)
+// 예전에는 활성(첫 번째) 시트에 기록했으므로, 머리글이 거리/속도인 시트가 있으면 이름을 '자전거'로 바꿔 쓴다.
+// 머리글 없는 예전 기록 시트는 이름을 바꾸지 않고 그대로 읽고 쓴다 (다른 앱 시트로 착각하지 않도록).
+function getBikeSheet(ss) {
+  var sheet = ss.getSheetByName('자전거');
+  if (sheet && sheet.getLastRow() > 1) return sheet;
+
+  return withScriptLock(function () {
+    var current = ss.getSheetByName('자전거');
+    if (current && current.getLastRow() > 1) return current;
+
+    var legacy = findLegacyBikeSheet(ss);
+    if (legacy) {
+      // 예전 버전이 만든 빈 '자전거' 시트는 지우고 기존 기록 시트를 쓴다
+      if (current) ss.deleteSheet(current);
+      legacy.setName('자전거');
+      return legacy;
+    }
+
+    var unnamed = findUnnamedBikeSheet(ss);
+    if (unnamed) return unnamed;
+    if (current) return current;
+
+    var created = ss.insertSheet('자전거');
+    created.appendRow(['날짜', '시간', '거리', '속도']);
+    return created;
+  });
+}
+
+// 앱이 이름으로 쓰는 시트 (예전 자전거 기록 시트로 보지 않는다)
+var APP_SHEET_NAMES = ['자전거', '단어뱅크', '복습문제', '완벽숙지', '일일통계', '줄넘기', '줄넘기도전', '포인트장부', '구구단숙련'];
+
+// 예전 자전거 기록 시트: 머리글이 거리/속도인 시트
+function findLegacyBikeSheet(ss) {
+  var sheets = ss.getSheets();
+  for (var i = 0; i < sheets.length; i++) {
+    if (APP_SHEET_NAMES.indexOf(sheets[i].getName()) >= 0) continue;
+    if (sheets[i].getLastRow() <= 1 || sheets[i].getLastColumn() < 4) continue;
+
+    var header = sheets[i].getRange(1, 1, 1, 4).getValues()[0];
+    if (isBikeHeader(header)) return sheets[i];
+  }
+  return null;
+}
+
+// 머리글 없이 기록만 있는 예전 첫 번째 시트 (앱 시트가 아니고 2행이 자전거 기록 모양일 때)
+function findUnnamedBikeSheet(ss) {
+  var first = ss.getSheets()[0];
+  if (!first || APP_SHEET_NAMES.indexOf(first.getName()) >= 0) return null;
+  if (first.getLastRow() <= 1 || first.getLastColumn() < 4) return null;
+  return looksLikeBikeRow(first.getRange(2, 1, 1, 4).getValues()[0]) ? first : null;
+}
+
+function isBikeHeader(header) {
+  var distance = String(header[2]).toLowerCase();
+  var speed = String(header[3]).toLowerCase();
+  return (distance.indexOf('거리') >= 0 || distance.indexOf('distance') >= 0) &&
+    (speed.indexOf('속도') >= 0 || speed.indexOf('speed') >= 0);
+}
+
+// 날짜 | 시간 | 거리 | 속도(숫자) 모양의 행인지
+function looksLikeBikeRow(row) {
+  var isDate = row[0] instanceof Date || /^\d{4}-\d{2}-\d{2}/.test(String(row[0]));
+  return isDate && row[3] !== '' && !isNaN(parseFloat(row[3]));
+}
+
+function readBikeRides(sheet) {
   var data = sheet.getDataRange().getValues();
-  
-  var maxSpeed = 0.0;
-  
+  var rides = [];
+
   for (var i = 1; i < data.length; i++) {
-    var speed = parseFloat(data[i][3]);
-    if (!isNaN(speed) && speed > maxSpeed) {
-      maxSpeed = speed;
+    var row = data[i];
+    if (!row[0]) continue;
+
+    rides.push({
+      date: Utilities.formatDate(new Date(row[0]), Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+      time: toTimeString(row[1]),
+      distance: parseFloat(row[2]) || 0,
+      speed: parseFloat(row[3]) || 0
+    });
+  }
+  return rides;
+}
+
+// 'yyyy-MM-dd'가 속한 주의 월요일
+function getWeekStart(dateStr) {
+  var date = new Date(dateStr + 'T00:00:00');
+  var offset = (date.getDay() + 6) % 7;
+  date.setDate(date.getDate() - offset);
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+// 전체 기록 + 요약 (총 거리, 주별 횟수, 평균/최고 속도, 개인 기록 경신일)
+function getBikeData() {
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var rides = readBikeRides(getBikeSheet(ss));
+
+  var totalDistance = 0;
+  var speedSum = 0;
+  var speedCount = 0;
+  var maxSpeed = 0;
+  var longestDistance = 0;
+  var speedRecords = [];     // 최고 속도를 경신한 기록들
+  var distanceRecords = [];  // 최장 거리를 경신한 기록들
+  var weeks = {};
+
+  rides.forEach(function (ride) {
+    totalDistance += ride.distance;
+    if (ride.speed > 0) {
+      speedSum += ride.speed;
+      speedCount++;
+    }
+
+    if (ride.speed > maxSpeed) {
+      maxSpeed = ride.speed;
+      speedRecords.push({ date: ride.date, value: ride.speed });
+    }
+    if (ride.distance > longestDistance) {
+      longestDistance = ride.distance;
+      distanceRecords.push({ date: ride.date, value: ride.distance });
+    }
+
+    var week = getWeekStart(ride.date);
+    if (!weeks[week]) {
+      weeks[week] = { weekStart: week, rides: 0, distance: 0 };
+    }
+    weeks[week].rides++;
+    weeks[week].distance += ride.distance;
+  });
+
+  var weekly = Object.keys(weeks).sort().map(function (key) {
+    weeks[key].distance = Math.round(weeks[key].distance * 100) / 100;
+    return weeks[key];
+  });
+
+  // 주당 횟수는 첫 기록 주부터 이번 주까지 달력 주 수로 나눈다 (안 탄 주 포함)
+  var calendarWeeks = 0;
+  if (weekly.length > 0) {
+    var today = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    var lastWeek = getWeekStart(today);
+    if (weekly[weekly.length - 1].weekStart > lastWeek) {
+      lastWeek = weekly[weekly.length - 1].weekStart;
     }
+    calendarWeeks = Math.round((countDaysInclusive(weekly[0].weekStart, lastWeek) - 1) / 7) + 1;
   }
-  
-  return ContentService
-    .createTextOutput(maxSpeed.toString())
-    .setMimeType(ContentService.MimeType.TEXT);
+
+  return {
+    rides: rides,
+    summary: {
+      rideCount: rides.length,
+      totalDistance: Math.round(totalDistance * 100) / 100,
+      avgSpeed: speedCount > 0 ? Math.round((speedSum / speedCount) * 10) / 10 : 0,
+      maxSpeed: maxSpeed,
+      longestDistance: longestDistance,
+      ridesPerWeek: calendarWeeks > 0 ? Math.round((rides.length / calendarWeeks) * 10) / 10 : 0
+    },
+    weekly: weekly,
+    personalRecords: {
+      speed: speedRecords,
+      distance: distanceRecords
+    }
+  };
 }
 
-function saveBikeRecord(e) {
+function getBikeMaxSpeed() {
   var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
-  var sheet = ss.getActiveSheet();
-  
-  var date = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
-  var time = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'HH:mm:ss');
-  var distance = e.parameter.distance || '';
-  var speed = parseFloat(e.parameter.speed) || 0;
-  
+  var rides = readBikeRides(getBikeSheet(ss));
+
+  var maxSpeed = 0.0;
+  rides.forEach(function (ride) {
+    if (ride.speed > maxSpeed) {
+      maxSpeed = ride.speed;
+    }
+  });
+
+  return { maxSpeed: maxSpeed };
+}
+
+function saveBikeRecord(params) {
+  var distance = parseFloat(params.distance) || 0;
+  var speed = parseFloat(params.speed) || 0;
+  if (distance <= 0 && speed <= 0) {
+    throw new Error('거리 또는 속도를 입력해주세요');
+  }
+
+  var ss = SpreadsheetApp.openById(SPREADSHEET_ID);
+  var sheet = getBikeSheet(ss);
+
+  var now = new Date();
+  var date = Utilities.formatDate(now, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  var time = Utilities.formatDate(now, Session.getScriptTimeZone(), 'HH:mm:ss');
+
   sheet.appendRow([date, time, distance, speed]);
-  
-  return ContentService
-    .createTextOutput('SUCCESS')
-    .setMimeType(ContentService.MimeType.TEXT);
+
+  return getBikeData();
 }
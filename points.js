@@ -0,0 +1,134 @@
+/**
+ * Points Ledger
+ * 경주 미션, 구구단, 영어 퀴즈, 줄넘기, 채팅 도장이 함께 쓰는 게코 포인트 장부 도우미입니다.
+ * code.gs의 pointsCredit / getPoints를 사용하고, 적립 요청은 SyncQueue로 보내므로
+ * 오프라인이어도 보관했다가 연결되면 적립됩니다.
+ *
+ * 사용법:
+ *   const ledger = new PointsLedger(syncQueue);
+ *   ledger.showBalance(document.getElementById('pointBalance')); // 잔액이 바뀔 때마다 표시
+ *   await ledger.credit('gugudan', 5, '구구단 학습 적립', 'gugudan:' + SyncQueue.createId());
+ *
+ * key(중복 방지 키)가 같은 적립은 서버에서 한 번만 기록됩니다.
+ */
+
+const POINTS_SCRIPT_URL = 'https://script.google.com/macros/s/AKfycbx52V-hRy06fBecGAbVZUUoTejy1Mil1SOmXdkOrdnKknUUcD8ur0yxIS_eQ_gfHpZq/exec';
+const POINTS_SUMMARY_KEY = 'yul_points_summary'; // 마지막으로 받은 잔액 (오프라인 표시용)
+
+class PointsLedger {
+  constructor(syncQueue, url = POINTS_SCRIPT_URL) {
+    this.syncQueue = syncQueue;
+    this.url = url;
+    this.summary = JSON.parse(localStorage.getItem(POINTS_SUMMARY_KEY)) || null;
+    this.pending = 0;
+    this.listeners = [];
+
+    // 큐에 남아 있는 적립은 '전송 대기'로 따로 보여준다
+    syncQueue.onChange(() => this.refreshPending());
+  }
+
+  /**
+   * 포인트를 적립합니다.
+   * - 전송 성공: { sent: true, duplicate, balance }
+   * - 오프라인: { sent: false } (큐에 보관, 나중에 자동 적립)
+   * - 서버가 거절: Error
+   */
+  async credit(source, amount, desc, key) {
+    const fields = {
+      action: 'pointsCredit',
+      source: source,
+      amount: amount,
+      desc: desc || ''
+    };
+    if (key) fields.key = key;
+
+    const result = await this.syncQueue.submit(this.url, fields, {
+      id: key || undefined,
+      label: '포인트 적립'
+    });
+    if (!result.sent) {
+      return { sent: false };
+    }
+
+    // 중복 전송으로 요약이 생략된 응답이면 다시 불러온다
+    if (result.response.data) {
+      this.setSummary(result.response.data);
+    } else {
+      await this.fetchBalance();
+    }
+    return {
+      sent: true,
+      duplicate: Boolean(result.response.data && result.response.data.duplicate),
+      balance: this.summary ? this.summary.balance : null
+    };
+  }
+
+  async fetchBalance() {
+    try {
+      const response = await fetch(this.url + '?action=getPoints');
+      const result = await response.json();
+      if (result.success) {
+        this.setSummary(result.data);
+      }
+    } catch (error) {
+      console.log('포인트 잔액 불러오기 실패:', error);
+    }
+    return this.summary;
+  }
+
+  setSummary(summary) {
+    this.summary = {
+      balance: summary.balance,
+      bySource: summary.bySource || {},
+      recent: summary.recent || [],
+      updatedAt: new Date().toISOString()
+    };
+    localStorage.setItem(POINTS_SUMMARY_KEY, JSON.stringify(this.summary));
+    this.notify();
+  }
+
+  async refreshPending() {
+    try {
+      const items = await this.syncQueue.getAll();
+      this.pending = items
+        .filter(item => item.status !== 'failed' && item.fields.action === 'pointsCredit')
+        .reduce((sum, item) => sum + (parseInt(item.fields.amount) || 0), 0);
+    } catch (error) {
+      this.pending = 0;
+    }
+    this.notify();
+  }
+
+  // { balance: 서버 잔액(모르면 null), pending: 전송 대기 중인 적립 합계 }
+  getState() {
+    return {
+      balance: this.summary ? this.summary.balance : null,
+      pending: this.pending
+    };
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+    listener(this.getState());
+  }
+
+  static formatBalance(state) {
+    const balance = state.balance === null ? '-' : Number(state.balance).toLocaleString();
+    const pending = state.pending > 0 ? ` (+${state.pending} 대기)` : '';
+    return `🦎 ${balance} P${pending}`;
+  }
+
+  // element에 '🦎 1,234 P (+5 대기)' 형태로 잔액을 표시하고 서버에서 최신 잔액을 받아온다
+  showBalance(element) {
+    if (!element) return;
+    this.onChange(state => {
+      element.textContent = PointsLedger.formatBalance(state);
+    });
+    this.fetchBalance();
+  }
+}
@@ -1,23 +1,190 @@
-const CACHE_NAME = 'yul-apps-v1';
-const urlsToCache = [
+importScripts('./sync_queue.js');
+
+// 배포할 때마다 버전을 올리면 새 캐시를 만들고 예전 캐시는 지운다
+const CACHE_VERSION = 'v12';
+const PRECACHE_NAME = `yul-apps-precache-${CACHE_VERSION}`;
+const RUNTIME_NAME = `yul-apps-runtime-${CACHE_VERSION}`;
+const DATA_CACHE_NAME = `yul-apps-data-${CACHE_VERSION}`;
+
+// 설치할 때 미리 받아두는 로컬 파일 (앱 화면/코드/아이콘)
+// 경주 타임머신 유물 사진은 용량이 커서 처음 볼 때 RUNTIME 캐시에 저장한다
+const PRECACHE_URLS = [
   './',
   './index.html',
   './style.css',
-  './gecko.png',
+  './manifest.json',
+  './sync_queue.js',
+  './points.js',
+  './word_bank.js',
+  './sw_register.js',
+  './bike.html',
+  './book_generator.html',
+  './chat.html',
+  './english_menu.html',
+  './english_quiz.html',
+  './gecko_training.html',
+  './gugudan.html',
+  './jumprope.html',
+  './report.html',
+  './video_gallery.html',
+  './word_manager.html',
+  './alphabet.png',
+  './bike.png',
   './coin.png',
-  './bike.png'
+  './game_icon.png',
+  './gecko.png',
+  './gecko_success.png',
+  './icon-192.png',
+  './icon-512.png',
+  './BH_IMG.jpg',
+  './hwiseo_character.jpg',
+  './santa.jpg',
+  './yul_character.jpg',
+  './yulsanta.jpg',
+  './books/library.html',
+  './books/dynamic_book_reader.html',
+  './books/Biscuit_friend.html',
+  './books/biscuit_01.html',
+  './books/camera_story.html',
+  './books/Holly_Jolly_Christmas.html',
+  './books/little_pup.html',
+  './books/Snow_daze.html',
+  './books/Steve_jobs.html',
+  './books/book_data.js',
+  './books/book_list.js',
+  './books/book_reader_base.js',
+  './books/book_style.css',
+  './Yul_GJ/index.html',
+  './Yul_GJ/app.js',
+  './Yul_GJ/missions_version.js',
+  './Yul_GJ/trips.js',
+  './Yul_GJ/trips.json',
+  './Yul_GJ/trips/seoul_palaces.json',
+  './Yul_GJ/trips/museum_day.json',
+  './Yul_GJ/passport.html',
+  './Yul_GJ/passport.js',
+  './Yul_GJ/photo_store.js',
+  './Yul_GJ/geofence.js',
+  './Yul_GJ/gyeongju_map.svg',
+  './Yul_GJ/no_image.svg',
+  './Yul_GJ/style.css',
+  './Yul_GJ/missions.json',
+  './Yul_speech/index.html'
 ];
 
+const CURRENT_CACHES = [PRECACHE_NAME, RUNTIME_NAME, DATA_CACHE_NAME];
+
 self.addEventListener('install', event => {
+  // 파일 하나가 없어도 설치가 실패하지 않도록 하나씩 저장
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => cache.addAll(urlsToCache))
+    caches.open(PRECACHE_NAME).then(cache =>
+      Promise.all(PRECACHE_URLS.map(url =>
+        cache.add(url).catch(error => console.log('Precache 실패:', url, error))
+      ))
+    )
   );
 });
 
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => response || fetch(event.request))
+// 예전 버전 캐시 정리 (trip-pack 등 앱이 직접 관리하는 캐시는 그대로 둔다)
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('yul-apps-') && !CURRENT_CACHES.includes(key))
+        .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
   );
 });
+
+// 페이지의 '새로고침' 버튼 → 대기 중인 새 서비스워커 활성화
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // Apps Script(Sheets) 조회, JSON 데이터: 네트워크 우선, 실패하면 캐시
+  // missions_version.js도 네트워크 우선: 예전 버전 번호가 보이면 새 missions.json을 못 받는다
+  if (url.hostname.endsWith('script.google.com') ||
+      url.hostname.endsWith('googleusercontent.com') ||
+      url.pathname.endsWith('.json') ||
+      url.pathname.endsWith('/missions_version.js')) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  // 로컬 페이지/파일, 웹폰트: 캐시를 바로 보여주고 뒤에서 갱신
+  if (url.origin === self.location.origin ||
+      url.hostname === 'fonts.googleapis.com' ||
+      url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // missions.json?v=1.6 처럼 버전 쿼리가 바뀌어도 마지막 데이터로 대체
+    const cached = await cache.match(request) ||
+      await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  // 로컬 파일은 app.js?v=1.6 처럼 버전 쿼리가 붙어도 같은 파일로 본다.
+  // 웹폰트 CSS는 css2?family=... 쿼리마다 내용이 다르므로 주소 전체로 찾는다
+  const sameOrigin = new URL(request.url).origin === self.location.origin;
+  const matchOptions = { ignoreSearch: sameOrigin };
+  // 뒤에서 갱신한 RUNTIME 캐시를 설치 때 받은 PRECACHE보다 먼저 본다
+  const runtime = await caches.open(RUNTIME_NAME);
+  const cached = await runtime.match(request, matchOptions) ||
+    await caches.match(request, matchOptions);
+
+  const update = fetch(request)
+    .then(async response => {
+      if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_NAME);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(update);
+    return cached;
+  }
+
+  const response = await update;
+  if (response) return response;
+
+  // 오프라인인데 캐시에 없는 페이지는 홈 화면으로 대체
+  if (request.mode === 'navigate') {
+    const home = await caches.match('./index.html');
+    if (home) return home;
+  }
+  return Response.error();
+}
+
+// 오프라인 동안 쌓인 저장 요청 전송 (Background Sync)
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_QUEUE_TAG) {
+    event.waitUntil(new SyncQueue().flush(true));
+  }
+});
@@ -0,0 +1,82 @@
+/**
+ * Service Worker 등록 + 업데이트 알림
+ * 모든 앱 페이지에서 불러옵니다. 새 버전(service-worker.js의 CACHE_VERSION)이
+ * 설치되면 화면 아래에 "새 버전이 있어요" 안내를 띄우고, 누르면 새로고침합니다.
+ */
+
+(function () {
+  if (!('serviceWorker' in navigator)) return;
+
+  // 하위 폴더(books/, Yul_GJ/ 등)에서도 루트의 service-worker.js를 등록
+  const swUrl = new URL('service-worker.js', document.currentScript.src);
+  const hadController = !!navigator.serviceWorker.controller; // 첫 설치 때는 새로고침하지 않음
+  let refreshing = false;
+
+  function showUpdateBanner(worker) {
+    if (document.getElementById('swUpdateBanner')) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'swUpdateBanner';
+    banner.style.cssText = [
+      'position: fixed',
+      'left: 50%',
+      'bottom: 20px',
+      'transform: translateX(-50%)',
+      'z-index: 2000',
+      'display: flex',
+      'align-items: center',
+      'gap: 10px',
+      'padding: 12px 18px',
+      'border-radius: 50px',
+      'background: rgba(0, 0, 0, 0.85)',
+      'color: white',
+      'font-weight: bold',
+      "font-family: 'Noto Sans KR', sans-serif",
+      'box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3)',
+      'white-space: nowrap'
+    ].join(';');
+    banner.innerHTML = '<span>✨ 새 버전이 있어요</span>';
+
+    const button = document.createElement('button');
+    button.textContent = '새로고침';
+    button.style.cssText = 'border: none; border-radius: 50px; padding: 6px 14px; background: #FFD700; color: #333; font-weight: bold; cursor: pointer;';
+    button.onclick = () => {
+      button.disabled = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+
+    banner.appendChild(button);
+    document.body.appendChild(banner);
+  }
+
+  // 새 서비스워커가 설치를 마치고 대기 상태가 되면 안내
+  function watchInstalling(registration) {
+    const worker = registration.installing;
+    if (!worker) return;
+
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdateBanner(worker);
+      }
+    });
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(swUrl.href, { scope: new URL('./', swUrl).href })
+      .then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdateBanner(registration.waiting);
+        }
+        watchInstalling(registration);
+        registration.addEventListener('updatefound', () => watchInstalling(registration));
+      })
+      .catch(error => console.log('서비스워커 등록 실패:', error));
+  });
+
+  // 새 서비스워커가 활성화되면 한 번만 새로고침
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || refreshing) return;
+    refreshing = true;
+    location.reload();
+  });
+})();
@@ -0,0 +1,416 @@
+/**
+ * Sync Queue
+ * Apps Script로 보내는 저장 요청을 IndexedDB에 먼저 기록한 뒤 전송합니다.
+ * 오프라인이거나 전송에 실패하면 보관해 두었다가 온라인이 되면 다시 보냅니다.
+ * 페이지와 service-worker.js(Background Sync)에서 함께 사용합니다.
+ *
+ * 사용법:
+ *   const syncQueue = new SyncQueue();
+ *   const result = await syncQueue.submit(SCRIPT_URL, { action: 'jumprope', count: 100 });
+ *   if (result.sent) { ...result.response } else { ...오프라인 보관됨 }
+ */
+
+const SYNC_QUEUE_TAG = 'yul-sync-queue';
+const SYNC_QUEUE_BASE_DELAY = 5000;        // 첫 재시도 대기 (5초)
+const SYNC_QUEUE_MAX_DELAY = 10 * 60 * 1000; // 최대 재시도 대기 (10분)
+const SYNC_QUEUE_SENDING_TIMEOUT = 60 * 1000; // 'sending'인 채로 이보다 오래되면 전송이 끊긴 것으로 본다
+
+class SyncQueue {
+  constructor(dbName = 'yul_sync_queue', storeName = 'submissions') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+    this.flushing = false;
+    this.flushRequested = false; // flush 중에 새 항목이 줄을 서면 끝난 뒤 한 번 더 보낸다
+    this.retryTimer = null;
+    this.listeners = [];
+
+    // 다른 탭/서비스워커에서 큐가 바뀌면 알림
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SYNC_QUEUE_TAG) : null;
+    if (this.channel) {
+      this.channel.onmessage = () => this.notify(false);
+    }
+
+    // 페이지에서는 온라인 복귀 시 바로 전송
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => this.flush());
+    }
+  }
+
+  init() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onerror = (event) => {
+        console.error('SyncQueue DB error:', event.target.error);
+        reject(event.target.error);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = (event) => {
+        this.db = event.target.result;
+        resolve(this.db);
+      };
+    });
+  }
+
+  // objectStore 요청 하나를 Promise로 실행
+  async request(mode, run) {
+    await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], mode);
+      const request = run(transaction.objectStore(this.storeName));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAll() {
+    const items = await this.request('readonly', store => store.getAll());
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  put(item) {
+    return this.request('readwrite', store => store.put(item));
+  }
+
+  remove(id) {
+    return this.request('readwrite', store => store.delete(id));
+  }
+
+  // 전송 중('sending')이지만 탭이 닫히는 등으로 끝나지 못한 항목은 다시 보낼 수 있다
+  static isClaimable(item, now = Date.now()) {
+    if (item.status === 'pending') return true;
+    return item.status === 'sending' && now - (item.sendingAt || 0) > SYNC_QUEUE_SENDING_TIMEOUT;
+  }
+
+  /**
+   * 항목을 'sending'으로 바꿔 이 탭이 보내겠다고 표시합니다.
+   * 읽기와 쓰기를 한 트랜잭션에서 하므로 다른 탭/서비스워커와 동시에 같은 항목을 보내지 않습니다.
+   * item을 주면 같은 id가 없거나 가져갈 수 있을 때 그 내용으로 새로 넣습니다 (submit).
+   * 가져오지 못하면 null을 반환합니다.
+   */
+  async claim(id, item = null) {
+    await this.init();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.storeName], 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      let claimed = null;
+
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const existing = request.result;
+        if (existing && !SyncQueue.isClaimable(existing)) return;
+        if (!existing && !item) return;
+
+        claimed = Object.assign({}, item || existing, { status: 'sending', sendingAt: Date.now() });
+        store.put(claimed);
+      };
+      transaction.oncomplete = () => resolve(claimed);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // { pending: 전송 대기(전송 중 포함), failed: 서버가 거절한 요청 }
+  async getCounts() {
+    const items = await this.getAll();
+    return {
+      pending: items.filter(item => item.status !== 'failed').length,
+      failed: items.filter(item => item.status === 'failed').length
+    };
+  }
+
+  // 요청마다 고유 id (서버 중복 처리용 clientId로도 전송)
+  static createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+  }
+
+  // 같은 주소로 먼저 들어와 아직 안 보낸 요청이 있는지 (서버가 거절한 요청은 제외)
+  async hasQueuedBefore(item) {
+    const items = await this.getAll();
+    return items.some(queued => queued.id !== item.id && queued.url === item.url && queued.status !== 'failed');
+  }
+
+  /**
+   * 저장 요청을 큐에 넣고 바로 전송을 시도합니다.
+   * 같은 주소로 먼저 들어온 요청이 남아 있으면 그것부터 보내고, 그래도 남으면 뒤에 줄을 섭니다.
+   * - 전송 성공: { sent: true, response }
+   * - 오프라인/네트워크 오류: { sent: false } (나중에 자동 재전송)
+   * - 서버가 거절 (success: false): Error를 던지고 큐에서 제거
+   */
+  async submit(url, fields, options = {}) {
+    const item = {
+      id: options.id || SyncQueue.createId(),
+      url: url,
+      fields: fields,
+      label: options.label || fields.action || '',
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      status: 'pending'
+    };
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      // 같은 id가 이미 있으면 덮어써서 중복 전송을 막는다
+      await this.scheduleRetry(item);
+      return { sent: false };
+    }
+
+    // 먼저 들어온 요청보다 앞서 보내면 예전 값이 나중에 덮어쓰므로 순서를 지킨다
+    if (await this.hasQueuedBefore(item)) {
+      await this.flush();
+      if (await this.hasQueuedBefore(item)) {
+        await this.put(item);
+        this.notify(true);
+        this.flush();
+        return { sent: false };
+      }
+    }
+
+    // 같은 id를 다른 탭이 보내는 중이면 그쪽에 맡긴다
+    if (!await this.claim(item.id, item)) {
+      return { sent: false };
+    }
+    this.notify(true);
+
+    try {
+      const response = await this.send(item);
+      await this.remove(item.id);
+      this.notify(true);
+      return { sent: true, response: response };
+    } catch (error) {
+      if (error.serverRejected) {
+        await this.remove(item.id);
+        this.notify(true);
+        throw error;
+      }
+      await this.scheduleRetry(item);
+      return { sent: false };
+    }
+  }
+
+  // 실제 전송 (FormData POST + clientId)
+  async send(item) {
+    const formData = new FormData();
+    Object.keys(item.fields).forEach(key => formData.append(key, item.fields[key]));
+    formData.append('clientId', item.id);
+
+    const response = await fetch(item.url, {
+      method: 'POST',
+      body: formData
+    });
+    const data = await response.json();
+
+    // code.gs 응답({ success })과 포인트 스크립트 응답({ result: 'success' }) 모두 허용
+    if (data.success === true || data.result === 'success') {
+      return data;
+    }
+
+    // 서버가 바빠 처리하지 못한 요청(retry)은 네트워크 오류처럼 나중에 다시 보낸다
+    if (data.retry) {
+      throw new Error(data.error || '서버가 바쁩니다');
+    }
+
+    const error = new Error(data.error || JSON.stringify(data));
+    error.serverRejected = true;
+    throw error;
+  }
+
+  // 실패 횟수에 따라 대기 시간을 늘려 다시 시도
+  async scheduleRetry(item) {
+    item.status = 'pending';
+    item.attempts++;
+    const delay = Math.min(SYNC_QUEUE_BASE_DELAY * Math.pow(2, item.attempts - 1), SYNC_QUEUE_MAX_DELAY);
+    item.nextAttemptAt = Date.now() + delay;
+    await this.put(item);
+    this.notify(true);
+
+    this.registerBackgroundSync();
+    this.scheduleFlush(delay);
+  }
+
+  scheduleFlush(delay) {
+    if (typeof setTimeout === 'undefined') return;
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+  }
+
+  // 서비스워커 Background Sync가 있으면 온라인 복귀 시 페이지가 닫혀 있어도 전송
+  async registerBackgroundSync() {
+    try {
+      if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+      const registration = await navigator.serviceWorker.ready;
+      if (registration.sync) {
+        await registration.sync.register(SYNC_QUEUE_TAG);
+      }
+    } catch (error) {
+      console.log('Background Sync 등록 실패:', error);
+    }
+  }
+
+  /**
+   * 대기 중인 요청을 오래된 순서대로 전송합니다.
+   * 같은 주소의 앞선 요청이 재시도를 기다리거나 다른 탭에서 전송 중이면 그 뒤 요청도 기다립니다.
+   * force가 true면 재시도 대기 시간을 무시합니다 (Background Sync).
+   * 네트워크 오류가 나면 남은 요청은 다음 기회로 미룹니다.
+   */
+  async flush(force = false) {
+    if (this.flushing) {
+      this.flushRequested = true;
+      return;
+    }
+    this.flushing = true;
+    this.flushRequested = false;
+
+    try {
+      const items = await this.getAll();
+      const now = Date.now();
+      const waitingUrls = [];
+
+      for (const queued of items) {
+        if (queued.status === 'failed') continue;
+        if (waitingUrls.includes(queued.url)) continue;
+        if (!SyncQueue.isClaimable(queued, now)) {
+          waitingUrls.push(queued.url);
+          continue;
+        }
+        if (!force && queued.nextAttemptAt > now) {
+          this.scheduleFlush(queued.nextAttemptAt - now);
+          waitingUrls.push(queued.url);
+          continue;
+        }
+
+        // 그사이 submit이나 다른 탭이 가져갔으면 그 뒤 요청은 기다린다
+        const item = await this.claim(queued.id);
+        if (!item) {
+          waitingUrls.push(queued.url);
+          continue;
+        }
+
+        try {
+          await this.send(item);
+          await this.remove(item.id);
+        } catch (error) {
+          if (error.serverRejected) {
+            // 다시 보내도 실패할 요청은 보관만 하고 재시도하지 않는다
+            item.status = 'failed';
+            item.error = error.message;
+            await this.put(item);
+          } else {
+            await this.scheduleRetry(item);
+            if (force) throw error; // Background Sync가 나중에 다시 호출하도록
+            break;
+          }
+        }
+      }
+    } finally {
+      this.flushing = false;
+      this.notify(true);
+      if (this.flushRequested) this.flush(force);
+    }
+  }
+
+  // 서버가 거절해 멈춘 요청을 처음부터 다시 보낸다 (시트를 고친 뒤 등)
+  async retryFailed() {
+    const items = await this.getAll();
+    for (const item of items.filter(item => item.status === 'failed')) {
+      item.status = 'pending';
+      item.attempts = 0;
+      item.nextAttemptAt = 0;
+      delete item.error;
+      await this.put(item);
+    }
+    this.notify(true);
+    return this.flush(true);
+  }
+
+  // 서버가 거절한 요청을 지운다 (다시 보내도 소용없는 요청)
+  async clearFailed() {
+    const items = await this.getAll();
+    for (const item of items.filter(item => item.status === 'failed')) {
+      await this.remove(item.id);
+    }
+    this.notify(true);
+  }
+
+  // 변경 알림 (broadcast가 true면 다른 탭/서비스워커에도 전달)
+  async notify(broadcast) {
+    if (broadcast && this.channel) {
+      this.channel.postMessage('changed');
+    }
+    if (this.listeners.length === 0) return;
+
+    const counts = await this.getCounts();
+    this.listeners.forEach(listener => listener(counts));
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+    this.getCounts().then(listener);
+  }
+
+  /**
+   * 화면 왼쪽 아래에 '전송 대기 n건' 배지를 표시합니다. (대기 0건이면 숨김)
+   * 배지를 누르면 바로 전송을 시도하고, 실패한 요청이 있으면 다시 보낼지 지울지 묻습니다.
+   */
+  showPendingBadge() {
+    if (typeof document === 'undefined') return;
+
+    const badge = document.createElement('button');
+    badge.style.cssText = [
+      'position: fixed',
+      'bottom: 20px',
+      'left: 20px',
+      'z-index: 1002',
+      'display: none',
+      'border: none',
+      'border-radius: 50px',
+      'padding: 8px 14px',
+      'font-size: 0.85rem',
+      'font-weight: bold',
+      'color: white',
+      'background: rgba(0, 0, 0, 0.7)',
+      'box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2)',
+      "font-family: 'Noto Sans KR', sans-serif",
+      'cursor: pointer'
+    ].join(';');
+    badge.onclick = () => this.handleBadgeClick().catch(() => { });
+    document.body.appendChild(badge);
+
+    this.onChange(counts => {
+      const parts = [];
+      if (counts.pending > 0) parts.push(`⏳ 전송 대기 ${counts.pending}건`);
+      if (counts.failed > 0) parts.push(`⚠️ 실패 ${counts.failed}건`);
+      badge.textContent = parts.join(' · ');
+      badge.style.display = parts.length > 0 ? 'block' : 'none';
+    });
+  }
+
+  async handleBadgeClick() {
+    const failed = (await this.getAll()).filter(item => item.status === 'failed');
+    if (failed.length === 0) {
+      return this.flush(true);
+    }
+
+    const detail = failed.map(item => `- ${item.label}: ${item.error || ''}`).join('\n');
+    if (confirm(`⚠️ 서버가 받지 않은 요청 ${failed.length}건\n${detail}\n\n다시 보내볼까요?`)) {
+      return this.retryFailed();
+    }
+    if (confirm('실패한 요청을 지울까요? (지우면 다시 보낼 수 없어요)')) {
+      await this.clearFailed();
+    }
+    return this.flush(true);
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Word Bank
+ * 영어 퀴즈 단어뱅크의 태그(책/단원/레벨)와 단어 가져오기 도우미입니다.
+ * english_quiz.html(태그로 골라 풀기)과 word_manager.html(단어 관리)이 함께 씁니다.
+ *
+ * 단어 형식: { word, meaning, example, pos, book, unit, level }
+ *
+ * 태그 값은 'book:Snow_daze', 'unit:3', 'level:A1'처럼 '종류:값' 문자열로 주고받습니다.
+ *   fillTagSelect(document.getElementById('tagFilter'), wordBank);
+ *   const words = filterWordsByTag(wordBank, select.value); // '' 이면 전체
+ */
+
+const WORD_TAG_FIELDS = [
+  { key: 'book', label: '📚 책' },
+  { key: 'unit', label: '📖 단원' },
+  { key: 'level', label: '⭐ 레벨' }
+];
+
+// { book: ['Snow_daze', ...], unit: [...], level: [...] } (가나다/숫자 순)
+function getWordTags(words) {
+  const tags = {};
+  WORD_TAG_FIELDS.forEach(({ key }) => {
+    const values = new Set(words.map(w => String(w[key] || '').trim()).filter(Boolean));
+    tags[key] = Array.from(values).sort((a, b) => a.localeCompare(b, 'ko', { numeric: true }));
+  });
+  return tags;
+}
+
+function filterWordsByTag(words, tagValue) {
+  if (!tagValue) return words;
+  const index = tagValue.indexOf(':');
+  const key = tagValue.slice(0, index);
+  const value = tagValue.slice(index + 1);
+  return words.filter(w => String(w[key] || '').trim() === value);
+}
+
+// <select>에 '전체 단어' + 태그별 optgroup을 채운다 (이전 선택은 남아 있으면 유지)
+function fillTagSelect(select, words, allLabel = '전체 단어') {
+  const previous = select.value;
+  const tags = getWordTags(words);
+  select.innerHTML = '';
+  select.appendChild(new Option(`${allLabel} (${words.length})`, ''));
+
+  WORD_TAG_FIELDS.forEach(({ key, label }) => {
+    if (tags[key].length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    tags[key].forEach(value => {
+      const count = filterWordsByTag(words, `${key}:${value}`).length;
+      group.appendChild(new Option(`${value} (${count})`, `${key}:${value}`));
+    });
+    select.appendChild(group);
+  });
+
+  if (Array.from(select.options).some(option => option.value === previous)) {
+    select.value = previous;
+  }
+}
+
+/* --------------------------------------------------------------------------
+   가져오기
+   -------------------------------------------------------------------------- */
+
+// 따옴표로 감싼 칸("a, b")을 지원하는 한 줄 나누기
+function splitDelimitedLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * 붙여넣은 글을 단어 목록으로 바꿉니다.
+ * - book_generator 형식: word | meaning | example
+ * - CSV / 스프레드시트 복사(탭): word, meaning, example, book, unit, level
+ *   첫 줄이 머리글(word, meaning ...)이면 그 순서를 따릅니다.
+ */
+function parseVocabularyText(text) {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const first = lines[0];
+  const delimiter = first.includes('|') ? '|' : (first.includes('\t') ? '\t' : ',');
+  let columns = ['word', 'meaning', 'example', 'book', 'unit', 'level'];
+
+  const header = splitDelimitedLine(first, delimiter).map(cell => cell.toLowerCase());
+  if (header.includes('word') && header.includes('meaning')) {
+    columns = header;
+    lines.shift();
+  }
+
+  return lines.map(line => {
+    const cells = splitDelimitedLine(line, delimiter);
+    const item = {};
+    columns.forEach((column, i) => {
+      if (cells[i]) item[column] = cells[i];
+    });
+    return item;
+  }).filter(item => item.word && item.meaning);
+}
+
+// books/*.html 안의 `vocabulary: [ { word, meaning, example }, ... ]`를 읽어온다
+// (책마다 "word": "..." 또는 word: "..." 형식이 섞여 있음)
+function extractBookVocabulary(html) {
+  const start = html.indexOf('vocabulary:');
+  if (start < 0) return [];
+  const end = html.indexOf(']', html.indexOf('[', start));
+  const block = html.slice(start, end);
+
+  const string = '"((?:\\\\.|[^"\\\\])*)"';
+  const entry = new RegExp(
+    `"?word"?\\s*:\\s*${string}\\s*,\\s*"?meaning"?\\s*:\\s*${string}(?:\\s*,\\s*"?example"?\\s*:\\s*${string})?`,
+    'g'
+  );
+  const unescape = value => (value === undefined ? '' : JSON.parse(`"${value}"`));
+
+  const words = [];
+  let match;
+  while ((match = entry.exec(block)) !== null) {
+    words.push({ word: unescape(match[1]), meaning: unescape(match[2]), example: unescape(match[3]) });
+  }
+  return words;
+}